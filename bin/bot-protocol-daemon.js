@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Bot-to-Bot Protocol Daemon entry point
+ *
+ * Usage:
+ *   bot-protocol-daemon --name <BotName> [--handlers <module>] [--check-interval <ms>]
+ *
+ * Reads protocol messages from stdin and writes replies to stdout, one
+ * JSON-encoded message per line. The handlers module exports an object
+ * mapping message types to handler functions, e.g.
+ *   module.exports = { REQUEST: async (parsed) => `Done: ${parsed.task}` };
+ */
+
+const path = require('path');
+const { createDaemon } = require('../lib/daemon.js');
+const { createStreamTransport } = require('../lib/transports.js');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.name) {
+    console.error('Usage: bot-protocol-daemon --name <BotName> [--handlers <module>] [--check-interval <ms>]');
+    process.exit(1);
+  }
+
+  const handlers = args.handlers ? require(path.resolve(args.handlers)) : {};
+  const transport = createStreamTransport();
+  const daemon = createDaemon({
+    botName: args.name,
+    transports: [transport],
+    handlers,
+    checkInterval: args['check-interval'] ? parseInt(args['check-interval'], 10) : undefined
+  });
+
+  daemon.on('message', parsed => {
+    console.error(`[bot-protocol] ${parsed.type} ${parsed.requestId} from ${parsed.from}`);
+  });
+  daemon.on('timeout', ids => {
+    console.error(`[bot-protocol] Timed out: ${ids.join(', ')}`);
+  });
+  daemon.on('error', err => {
+    console.error(`[bot-protocol] ${err.stack || err.message}`);
+  });
+
+  transport.on('close', () => daemon.stop());
+  process.on('SIGINT', () => daemon.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => daemon.stop().then(() => process.exit(0)));
+
+  daemon.start();
+  console.error(`[bot-protocol] ${args.name} daemon listening on stdin`);
+}
+
+main();
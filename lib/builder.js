@@ -1,16 +1,48 @@
 /**
  * Bot-to-Bot Protocol Builder
  * Constructs well-formed protocol messages
+ * Every builder takes an optional `signingKey` ({ secret } or { privateKey },
+ * see signing.js) that adds a Signature line, and an optional `data` value
+ * sent as a JSON payload in a Data field (see payload.js).
+ * REQUEST and HANDOFF can name a `capability` of the recipient; given a
+ * `capabilities` registry (see capabilities.js) the data is checked against
+ * the recipient's declared input schema before anything is sent.
+ * Messages declare `protocol` (default: the current version, see
+ * versions.js); building with a field that version lacks throws.
+ * Field values are escaped (see serializer.js), so multi-line text, lines
+ * that look like fields and embedded ``` arrive intact.
  */
 
+const crypto = require('crypto');
 const { customAlphabet } = require('nanoid');
 const nanoid = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 6);
+const { parseDuration, formatDuration, parseDeadline } = require('./duration.js');
+const { signMessage } = require('./signing.js');
+const { encodePayload } = require('./payload.js');
+const { formatField, escapeValue, encodeChunk } = require('./serializer.js');
+const { parseAll } = require('./parser.js');
+const { schemaError } = require('./capabilities.js');
+const { CURRENT_VERSION, DEFAULT_VERSION, checkFields } = require('./versions.js');
+
+// Parts a message can be split into, the smallest useful chunk and the
+// length of the message id in Part lines
+const MAX_PARTS = 9999;
+const MIN_CHUNK = 20;
+const PART_ID_LENGTH = 12;
+
+// Maximum characters per post on common chat platforms
+const PLATFORM_LIMITS = {
+  discord: 2000,
+  telegram: 4096,
+  slack: 40000
+};
 
 /**
  * Build a REQUEST message
  */
-function buildRequest({ to, from, requestId, task, context, depth, callback, priority }) {
+function buildRequest({ to, from, requestId, task, capability, context, depth, callback, priority, timeout, deadline, attempt, data, capabilities, protocol = CURRENT_VERSION, signingKey }) {
   validateRequired({ to, from, task }, 'REQUEST');
+  checkCapability({ to, capability, data, capabilities }, 'REQUEST');
   
   const id = requestId || generateRequestId(from);
   const d = depth || { current: 1, max: 5 };
@@ -21,46 +53,88 @@ function buildRequest({ to, from, requestId, task, context, depth, callback, pri
   }
 
   let message = `\`\`\`\n[REQUEST → @${to}]\n`;
-  message += `From: ${from}\n`;
-  message += `RequestId: ${id}\n`;
-  message += `Task: ${task}\n`;
-  if (context) message += `Context: ${context}\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', id);
+  message += formatField('Task', task);
+  if (capability) message += formatField('Capability', capability);
+  message += dataField(data);
+  if (context) message += formatField('Context', context);
   message += `Depth: ${d.current}/${d.max}\n`;
-  if (callback) message += `Callback: ${callback}\n`;
-  if (priority) message += `Priority: ${priority}\n`;
+  if (callback) message += formatField('Callback', callback);
+  if (priority) message += formatField('Priority', priority);
+  message += timingFields({ timeout, deadline });
+  if (attempt && attempt > 1) message += `Attempt: ${attempt}\n`;
   message += `\`\`\``;
 
-  return message;
+  return finish(message, { protocol, signingKey });
 }
 
 /**
  * Build a RESPONSE message
  */
-function buildResponse({ to, from, requestId, status, result, context, depth }) {
+function buildResponse({ to, from, requestId, status, result, context, depth, data, protocol = CURRENT_VERSION, signingKey }) {
   validateRequired({ to, from, requestId }, 'RESPONSE');
   
-  if (!status && !result) {
+  if (!status && !result && data === undefined) {
     throw new Error('RESPONSE requires either status or result');
   }
 
   const d = depth || { current: 1, max: 5 };
 
   let message = `\`\`\`\n[RESPONSE → @${to}]\n`;
-  message += `From: ${from}\n`;
-  message += `RequestId: ${requestId}\n`;
-  if (status) message += `Status: ${status}\n`;
-  if (result) message += `Result: ${result}\n`;
-  if (context) message += `Context: ${context}\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', requestId);
+  if (status) message += formatField('Status', status);
+  if (result) message += formatField('Result', result);
+  message += dataField(data);
+  if (context) message += formatField('Context', context);
   message += `Depth: ${d.current}/${d.max}\n`;
   message += `\`\`\``;
 
-  return message;
+  return finish(message, { protocol, signingKey });
+}
+
+/**
+ * Build a progress update: a RESPONSE with Status: partial
+ * `seq` numbers the updates of a request from 1 so the requester can put
+ * them in order; `progress` (percent, 0-100) and `eta` (ms or a duration
+ * string) are optional. The final RESPONSE is sent with buildResponse().
+ */
+function buildProgress({ to, from, requestId, seq, result, progress, eta, context, depth, data, protocol = CURRENT_VERSION, signingKey }) {
+  validateRequired({ to, from, requestId, seq }, 'Progress update');
+
+  if (!Number.isInteger(seq) || seq < 1) {
+    throw new Error(`Invalid seq: ${seq} (expected a whole number from 1)`);
+  }
+  if (progress !== undefined && progress !== null && !(progress >= 0 && progress <= 100)) {
+    throw new Error(`Invalid progress: ${progress} (expected a percentage from 0 to 100)`);
+  }
+
+  const d = depth || { current: 1, max: 5 };
+
+  let message = `\`\`\`\n[RESPONSE → @${to}]\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', requestId);
+  message += `Status: partial\n`;
+  message += `Seq: ${seq}\n`;
+  if (progress !== undefined && progress !== null) message += `Progress: ${progress}%\n`;
+  if (eta !== undefined && eta !== null) message += `ETA: ${formatDuration(checkedDuration(eta, 'eta'))}\n`;
+  if (result) message += formatField('Result', result);
+  message += dataField(data);
+  if (context) message += formatField('Context', context);
+  message += `Depth: ${d.current}/${d.max}\n`;
+  message += `\`\`\``;
+
+  return finish(message, { protocol, signingKey });
 }
 
 /**
  * Build a CLARIFY message
  */
-function buildClarify({ to, from, requestId, question, depth }) {
+function buildClarify({ to, from, requestId, question, depth, timeout, deadline, data, protocol = CURRENT_VERSION, signingKey }) {
   validateRequired({ to, from, requestId, question }, 'CLARIFY');
   
   const d = depth || { current: 1, max: 5 };
@@ -71,20 +145,24 @@ function buildClarify({ to, from, requestId, question, depth }) {
   }
 
   let message = `\`\`\`\n[CLARIFY → @${to}]\n`;
-  message += `From: ${from}\n`;
-  message += `RequestId: ${requestId}\n`;
-  message += `Question: ${question}\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', requestId);
+  message += formatField('Question', question);
+  message += dataField(data);
   message += `Depth: ${d.current}/${d.max}\n`;
+  message += timingFields({ timeout, deadline });
   message += `\`\`\``;
 
-  return message;
+  return finish(message, { protocol, signingKey });
 }
 
 /**
  * Build a HANDOFF message
  */
-function buildHandoff({ to, from, requestId, task, context, depth, callback, priority }) {
+function buildHandoff({ to, from, requestId, task, capability, context, depth, callback, priority, timeout, deadline, data, capabilities, protocol = CURRENT_VERSION, signingKey }) {
   validateRequired({ to, from, requestId, task }, 'HANDOFF');
+  checkCapability({ to, capability, data, capabilities }, 'HANDOFF');
   
   const d = depth || { current: 1, max: 5 };
   
@@ -94,36 +172,277 @@ function buildHandoff({ to, from, requestId, task, context, depth, callback, pri
   }
 
   let message = `\`\`\`\n[HANDOFF → @${to}]\n`;
-  message += `From: ${from}\n`;
-  message += `RequestId: ${requestId}\n`;
-  message += `Task: ${task}\n`;
-  if (context) message += `Context: ${context}\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', requestId);
+  message += formatField('Task', task);
+  if (capability) message += formatField('Capability', capability);
+  message += dataField(data);
+  if (context) message += formatField('Context', context);
   message += `Depth: ${d.current}/${d.max}\n`;
-  if (callback) message += `Callback: ${callback}\n`;
-  if (priority) message += `Priority: ${priority}\n`;
+  if (callback) message += formatField('Callback', callback);
+  if (priority) message += formatField('Priority', priority);
+  message += timingFields({ timeout, deadline });
   message += `\`\`\``;
 
-  return message;
+  return finish(message, { protocol, signingKey });
 }
 
 /**
  * Build a BROADCAST message
  */
-function buildBroadcast({ from, requestId, message, context, depth }) {
+function buildBroadcast({ from, requestId, message, context, depth, data, protocol = CURRENT_VERSION, signingKey }) {
   validateRequired({ from, message }, 'BROADCAST');
   
   const id = requestId || generateRequestId(from);
   const d = depth || { current: 1, max: 5 };
 
   let msg = `\`\`\`\n[BROADCAST → @all]\n`;
-  msg += `From: ${from}\n`;
-  msg += `RequestId: ${id}\n`;
-  msg += `Message: ${message}\n`;
-  if (context) msg += `Context: ${context}\n`;
+  msg += protocolField(protocol);
+  msg += formatField('From', from);
+  msg += formatField('RequestId', id);
+  msg += formatField('Message', message);
+  msg += dataField(data);
+  if (context) msg += formatField('Context', context);
   msg += `Depth: ${d.current}/${d.max}\n`;
   msg += `\`\`\``;
 
-  return msg;
+  return finish(msg, { protocol, signingKey });
+}
+
+/**
+ * Build a CANCEL message
+ * Calls off the request with `requestId`: the recipient stops working on it
+ * and passes the CANCEL on to whoever it handed the task to. No reply is
+ * sent. `reason` (optional) says why.
+ */
+function buildCancel({ to, from, requestId, reason, protocol = CURRENT_VERSION, signingKey }) {
+  validateRequired({ to, from, requestId }, 'CANCEL');
+
+  let message = `\`\`\`\n[CANCEL → @${to}]\n`;
+  message += protocolField(protocol);
+  message += formatField('From', from);
+  message += formatField('RequestId', requestId);
+  if (reason) message += formatField('Reason', reason);
+  message += `\`\`\``;
+
+  return finish(message, { protocol, signingKey });
+}
+
+/**
+ * Bundle several messages into as few chat posts as fit a length limit
+ * Messages keep their order and are never split; one that is longer than
+ * the limit on its own throws.
+ * @param {string[]} messages - Built protocol messages
+ * @param {object} options - { maxLength } (characters; see PLATFORM_LIMITS)
+ * @returns {string[]} - Posts, messages separated by a blank line
+ */
+function buildBundle(messages, { maxLength = PLATFORM_LIMITS.discord } = {}) {
+  const posts = [];
+  let current = '';
+
+  for (const message of messages) {
+    if (message.length > maxLength) {
+      throw new Error(`Message of ${message.length} characters exceeds the ${maxLength} character limit`);
+    }
+    const joined = current ? `${current}\n\n${message}` : message;
+    if (joined.length <= maxLength) {
+      current = joined;
+    } else {
+      posts.push(current);
+      current = message;
+    }
+  }
+  if (current) {
+    posts.push(current);
+  }
+  return posts;
+}
+
+/**
+ * Split a message that is too long for one post into numbered parts
+ *
+ * Each part is a message of the same type, recipient and RequestId with a
+ * `Part: i/n id` line and a `Chunk` holding the next slice of the original
+ * text. The id (a hash of the whole message) keeps the parts of different
+ * messages with the same RequestId apart, e.g. progress updates and the
+ * final RESPONSE;
+ * joining the chunks in order gives back the message exactly (signature
+ * included). A message that fits is returned as is. See reassembly.js for
+ * the receiving side.
+ *
+ * @param {string} message - One built protocol message
+ * @param {object} options - { maxLength } (characters; see PLATFORM_LIMITS)
+ * @returns {string[]} - Posts to send in order
+ * @throws {Error} - For anything but a single protocol message, or a limit
+ *   too small to hold parts
+ */
+function buildChunks(message, { maxLength = PLATFORM_LIMITS.discord } = {}) {
+  if (message.length <= maxLength) {
+    return [message];
+  }
+
+  const blocks = parseAll(message);
+  if (blocks.length !== 1 || blocks[0].raw !== message.trim()) {
+    throw new Error('Only a single protocol message can be split into parts');
+  }
+  const { type, to, from, requestId, part } = blocks[0];
+  if (part) {
+    throw new Error('A message part cannot be split again');
+  }
+
+  const id = crypto.createHash('sha256').update(message).digest('hex').slice(0, PART_ID_LENGTH);
+  const head = (index, total) => `\`\`\`\n[${type} → @${to}]\n` +
+    protocolField(CURRENT_VERSION) +
+    formatField('From', from) +
+    formatField('RequestId', requestId) +
+    `Part: ${index}/${total} ${id}\n`;
+  // Room for the Chunk value, with space for up to 9999 parts
+  const room = maxLength - head(MAX_PARTS, MAX_PARTS).length - 'Chunk: \n```'.length;
+  if (room < MIN_CHUNK) {
+    throw new Error(`A ${maxLength} character limit leaves no room for message parts`);
+  }
+
+  const chunks = [];
+  let rest = message;
+  while (rest) {
+    const size = chunkSize(rest, room);
+    chunks.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  if (chunks.length > MAX_PARTS) {
+    throw new Error(`Message of ${message.length} characters needs more than ${MAX_PARTS} parts`);
+  }
+
+  return chunks.map((chunk, i) => {
+    const post = `${head(i + 1, chunks.length)}${formatField('Chunk', encodeChunk(chunk))}\`\`\``;
+    if (post.length > maxLength) {
+      throw new Error(`Message of ${message.length} characters cannot be split into parts of ${maxLength} characters`);
+    }
+    return post;
+  });
+}
+
+/**
+ * Characters of `text` for the next chunk: as many as fit `room` once
+ * encoded, ending at a line break when one is near
+ * A chunk never ends in a space (the parser trims values) or halfway
+ * through a surrogate pair.
+ */
+function chunkSize(text, room) {
+  const encoded = size => escapeValue(encodeChunk(text.slice(0, size))).length;
+  let size = Math.min(text.length, room);
+  while (encoded(size) > room) {
+    size -= Math.max(1, encoded(size) - room);
+  }
+  if (size >= text.length) {
+    return size;
+  }
+
+  const newline = text.lastIndexOf('\n', size - 1);
+  if (newline >= size / 2) {
+    return newline + 1;
+  }
+  let cut = size;
+  while (cut > 1 && /[ \t\r\uD800-\uDBFF]/.test(text[cut - 1])) {
+    cut--;
+  }
+  return /[ \t\r\uD800-\uDBFF]/.test(text[cut - 1]) ? size : cut;
+}
+
+/**
+ * Build a reply telling a sender why their message could not be read
+ * A failed RESPONSE by default; `clarify: true` asks for a corrected resend
+ * instead (unless depth forbids a CLARIFY).
+ * @param {object} options - { to, from, requestId, problems, depth, clarify, protocol, signingKey }
+ *   (problems as reported by parseDetailed)
+ */
+function buildDiagnostic({ to, from, requestId, problems = [], depth, clarify = false, protocol, signingKey }) {
+  validateRequired({ to, from, requestId }, 'Diagnostic');
+
+  const d = depth || { current: 1, max: 5 };
+  const report = `Could not read your message:\n${formatProblems(problems)}`;
+
+  if (clarify && d.current < d.max) {
+    return buildClarify({ to, from, requestId, question: `${report}\nPlease resend it corrected.`, depth: d, protocol, signingKey });
+  }
+  return buildResponse({ to, from, requestId, status: 'failed', result: report, depth: d, protocol, signingKey });
+}
+
+/**
+ * One "- line N: message (CODE)" line per problem
+ * Values are flattened to keep the report to one line per problem.
+ */
+function formatProblems(problems) {
+  return problems
+    .map(p => `- ${p.line ? `line ${p.line}: ` : ''}${p.message.replace(/\s*\n\s*/g, ' ')} (${p.code})`)
+    .join('\n');
+}
+
+/**
+ * Build the optional Data field (structured payload, see payload.js)
+ */
+function dataField(data) {
+  return data === undefined ? '' : formatField('Data', encodePayload(data));
+}
+
+/**
+ * Build the Protocol line (v0.1 messages have none)
+ */
+function protocolField(protocol) {
+  return protocol === DEFAULT_VERSION ? '' : `Protocol: ${protocol}\n`;
+}
+
+/**
+ * Sign a finished message and check it fits its protocol version
+ */
+function finish(message, { protocol, signingKey }) {
+  const signed = signingKey ? signMessage(message, signingKey) : message;
+  checkFields(signed, protocol);
+  return signed;
+}
+
+/**
+ * Check outgoing data against the recipient's declared capability
+ */
+function checkCapability({ to, capability, data, capabilities }, messageType) {
+  if (!capabilities) {
+    return;
+  }
+  const check = capabilities.checkInput(to, capability, data);
+  if (!check.ok) {
+    throw schemaError(`${messageType} to ${to} breaks the ${capability || 'capability'} contract`, check.violations);
+  }
+}
+
+/**
+ * Build the optional Timeout / Deadline lines
+ * timeout: milliseconds or a duration string ("15m"); deadline: Date or date string
+ */
+function timingFields({ timeout, deadline }) {
+  let fields = '';
+  if (timeout !== undefined && timeout !== null) {
+    fields += `Timeout: ${formatDuration(checkedDuration(timeout, 'timeout'))}\n`;
+  }
+  if (deadline !== undefined && deadline !== null) {
+    const iso = parseDeadline(deadline);
+    if (iso === null) {
+      throw new Error(`Invalid deadline: ${deadline}`);
+    }
+    fields += `Deadline: ${iso}\n`;
+  }
+  return fields;
+}
+
+/**
+ * Milliseconds of a duration, throwing for an invalid one
+ */
+function checkedDuration(value, name) {
+  const ms = parseDuration(value);
+  if (ms === null) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return ms;
 }
 
 /**
@@ -165,9 +484,15 @@ function validateRequired(fields, messageType) {
 module.exports = {
   buildRequest,
   buildResponse,
+  buildProgress,
   buildClarify,
   buildHandoff,
   buildBroadcast,
+  buildCancel,
+  buildDiagnostic,
+  buildBundle,
+  buildChunks,
   generateRequestId,
-  incrementDepth
+  incrementDepth,
+  PLATFORM_LIMITS
 };
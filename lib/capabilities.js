@@ -0,0 +1,123 @@
+/**
+ * Bot-to-Bot Protocol Capabilities
+ * Registry of the named tasks each bot offers, with input and output
+ * schemas for their Data payloads (see schema.js)
+ */
+
+const { validate } = require('./schema.js');
+
+/**
+ * Create a capability registry
+ *
+ * A capability is `{ name, description, input, output }`, where input and
+ * output are schemas for the REQUEST and RESPONSE Data. Bot and capability
+ * names are matched case-insensitively.
+ *
+ * @param {object} entries - { BotName: { capabilityName: { description, input, output } } }
+ * @returns {object} - { declare, remove, get, list, bots, checkInput, checkOutput }
+ */
+function createCapabilityRegistry(entries = {}) {
+  const bots = new Map(); // bot → Map(name → capability)
+
+  const registry = {
+    /**
+     * Declare (or replace) a capability of a bot
+     */
+    declare(botName, name, contract = {}) {
+      if (!botName || !name) {
+        throw new Error('declare requires a bot name and a capability name');
+      }
+      const key = botName.toLowerCase();
+      if (!bots.has(key)) {
+        bots.set(key, new Map());
+      }
+      bots.get(key).set(name.toLowerCase(), { ...contract, name });
+      return registry;
+    },
+
+    /**
+     * Remove one capability, or everything a bot declared
+     */
+    remove(botName, name) {
+      const key = botName.toLowerCase();
+      if (name && bots.has(key)) {
+        bots.get(key).delete(name.toLowerCase());
+      } else if (!name) {
+        bots.delete(key);
+      }
+      return registry;
+    },
+
+    get(botName, name) {
+      const declared = botName && bots.get(botName.toLowerCase());
+      return (declared && name && declared.get(name.toLowerCase())) || null;
+    },
+
+    list(botName) {
+      const declared = botName && bots.get(botName.toLowerCase());
+      return declared ? [...declared.values()] : [];
+    },
+
+    bots() {
+      return [...bots.keys()];
+    },
+
+    /**
+     * Check REQUEST data against a bot's declared input schema
+     * Messages without a Capability, and bots that declared nothing, pass.
+     * @returns {object} - { ok, violations, capability }
+     */
+    checkInput(botName, name, data) {
+      return checkAgainst(botName, name, data, 'input');
+    },
+
+    /**
+     * Check RESPONSE data against a bot's declared output schema
+     * @returns {object} - { ok, violations, capability }
+     */
+    checkOutput(botName, name, data) {
+      return checkAgainst(botName, name, data, 'output');
+    }
+  };
+
+  function checkAgainst(botName, name, data, direction) {
+    if (!name || registry.list(botName).length === 0) {
+      return { ok: true, violations: [], capability: null };
+    }
+
+    const capability = registry.get(botName, name);
+    if (!capability) {
+      const offered = registry.list(botName).map(c => c.name).join(', ');
+      return {
+        ok: false,
+        violations: [`${botName} does not offer capability "${name}" (offers: ${offered})`],
+        capability: null
+      };
+    }
+
+    if (!capability[direction]) {
+      return { ok: true, violations: [], capability };
+    }
+    const violations = validate(data, capability[direction]);
+    return { ok: violations.length === 0, violations, capability };
+  }
+
+  for (const [botName, capabilities] of Object.entries(entries)) {
+    for (const [name, contract] of Object.entries(capabilities)) {
+      registry.declare(botName, name, contract);
+    }
+  }
+  return registry;
+}
+
+/**
+ * Error for data that breaks a capability contract
+ */
+function schemaError(message, violations) {
+  const err = new Error(`${message}:\n- ${violations.join('\n- ')}`);
+  err.code = 'SCHEMA_VIOLATION';
+  err.violations = violations;
+  return err;
+}
+
+module.exports = { createCapabilityRegistry, schemaError };
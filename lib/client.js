@@ -0,0 +1,376 @@
+/**
+ * Bot-to-Bot Protocol Client
+ * Send a REQUEST and await the matching RESPONSE
+ */
+
+const { parse, parseAll } = require('./parser.js');
+const { buildRequest, buildResponse, buildCancel, generateRequestId } = require('./builder.js');
+const { replyDepth, isAddressedTo } = require('./middleware.js');
+const { createReassembler } = require('./reassembly.js');
+const defaultState = require('./state.js');
+
+/**
+ * Create a request client
+ *
+ * Incoming messages are read from `transport` (or fed manually through
+ * receive()), outgoing ones go through `transport.send` or `send`.
+ *
+ * Requests time out after the tracker's timeout for their Priority
+ * (`timeouts` overrides it by message type), or at their Timeout/Deadline.
+ *
+ * With `signingKey` outgoing messages are signed; with `keys` a RESPONSE or
+ * CLARIFY whose signature is forged is ignored (see signing.js).
+ *
+ * A reply split into parts (see buildChunks) is collected in `reassembler`
+ * and read once complete.
+ *
+ * cancel() calls off a pending request with a CANCEL (see router.js for the
+ * receiving side).
+ *
+ * Errors nobody awaits (reading from `transport`, cancelling on abort or
+ * when a stream is left) go to `onError(err)`, or to the console without it.
+ *
+ * @param {object} options - { botName, transport, send, state, timeouts, track, keys, signingKey, reassembler, onError }
+ * @returns {object} - { request, stream, cancel, receive, pending, close }
+ */
+function createClient({ botName, transport, send, state = defaultState, timeouts = null, track = true, keys, signingKey, reassembler = createReassembler(), onError } = {}) {
+  if (!botName) {
+    throw new Error('createClient requires botName');
+  }
+
+  const post = send || (transport && (text => transport.send(text)));
+  if (!post) {
+    throw new Error('createClient requires a transport or a send function');
+  }
+
+  const pending = new Map();
+  const listener = (raw) => {
+    receive(raw).catch(reportError);
+  };
+
+  function reportError(err) {
+    if (onError) {
+      onError(err);
+    } else {
+      console.error(`[bot-protocol] ${botName}: ${err.stack || err.message}`);
+    }
+  }
+
+  if (transport) {
+    transport.on('message', listener);
+  }
+
+  /**
+   * Send a REQUEST and wait for its RESPONSE
+   *
+   * Resolves with the parsed RESPONSE (status done, partial or none).
+   * Rejects with err.code 'FAILED' (err.response holds the RESPONSE),
+   * 'TIMEOUT', 'CANCELLED' or 'CLOSED'. A CLARIFY is passed to `onClarify(parsed)`;
+   * a returned string is sent back as the answer and restarts the timer.
+   * Progress updates (partial RESPONSEs with a Seq) go to
+   * `onProgress(parsed)` in Seq order and restart the timer too.
+   * Aborting `signal` cancels the request (see cancel()).
+   *
+   * @param {object} fields - buildRequest fields (`from` defaults to botName)
+   * @param {object} options - { onClarify, onProgress, timeout, signal }
+   * @returns {Promise<object>} - Parsed RESPONSE
+   */
+  async function request(fields, { onClarify, onProgress, timeout, signal } = {}) {
+    if (signal && signal.aborted) {
+      throw requestError(`Request to ${fields.to} was cancelled before it was sent`, 'CANCELLED');
+    }
+
+    const requestId = fields.requestId || generateRequestId(botName);
+    const raw = buildRequest({ ...fields, from: botName, requestId, signingKey });
+    const parsed = parse(raw);
+    const entry = {
+      requestId,
+      to: fields.to,
+      onClarify,
+      onProgress,
+      nextSeq: 1,
+      held: new Map(), // Updates that arrived ahead of their turn, by Seq
+      timeoutMs: timeout || parsed.timeout || (timeouts && timeouts.REQUEST) ||
+        state.timeoutFor('REQUEST', parsed.priority),
+      deadline: parsed.deadline ? new Date(parsed.deadline).getTime() : null,
+      timer: null,
+      signal,
+      onAbort: () => {
+        cancel(requestId, signal.reason && signal.reason.message).catch(reportError);
+      }
+    };
+
+    // Register before sending so a fast RESPONSE cannot be missed
+    const settled = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // The caller only gets `settled` once sending is done: keep an early
+    // rejection (close, timeout) from being reported as unhandled meanwhile
+    settled.catch(() => {});
+    pending.set(requestId, entry);
+    arm(entry);
+    if (signal) {
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+
+    try {
+      if (track) {
+        await state.track(parsed, { observer: botName });
+      }
+      await post(raw);
+    } catch (err) {
+      settle(entry);
+      throw err;
+    }
+
+    return settled;
+  }
+
+  /**
+   * Send a REQUEST and iterate over its results as they arrive
+   * Yields each progress update in Seq order, then the final RESPONSE;
+   * throws like request() does. Leaving the loop early (break, return or an
+   * error in its body) cancels the request.
+   *
+   * @param {object} fields - buildRequest fields
+   * @param {object} options - { onClarify, timeout, signal }
+   * @returns {AsyncIterable<object>} - Parsed RESPONSEs
+   */
+  async function* stream(fields, options = {}) {
+    const updates = [];
+    let outcome = null;
+    let wake = () => {};
+
+    const requestId = fields.requestId || generateRequestId(botName);
+
+    request({ ...fields, requestId }, { ...options, onProgress: parsed => { updates.push(parsed); wake(); } })
+      .then(response => { outcome = { response }; }, error => { outcome = { error }; })
+      .then(() => wake());
+
+    try {
+      while (updates.length > 0 || !outcome) {
+        if (updates.length > 0) {
+          yield updates.shift();
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      // The caller stopped listening before the request settled
+      if (!outcome) {
+        await cancel(requestId).catch(reportError);
+      }
+    }
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    yield outcome.response;
+  }
+
+  /**
+   * Call off a pending request
+   * Rejects it with err.code 'CANCELLED' and sends a CANCEL to the bot it
+   * was sent to, which passes it on if it handed the task off.
+   * @param {string} requestId - A pending request
+   * @param {string} reason - Why (optional, sent along)
+   * @returns {Promise<boolean>} - False if the request was not pending
+   */
+  async function cancel(requestId, reason) {
+    const entry = pending.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    settle(entry);
+    entry.reject(requestError(`Request ${requestId} was cancelled${reason ? `: ${reason}` : ''}`, 'CANCELLED'));
+
+    const raw = buildCancel({ to: entry.to, from: botName, requestId, reason, signingKey });
+    if (track) {
+      await state.track(parse(raw), { observer: botName });
+    }
+    await post(raw);
+    return true;
+  }
+
+  /**
+   * Feed an incoming raw message to the client
+   * Every protocol message in it is checked (posts can batch several).
+   * @returns {Promise<boolean>} - True if any belonged to a pending request
+   */
+  async function receive(raw) {
+    let matched = false;
+    reassembler.prune();
+    for (const parsed of parseAll(raw, { keys })) {
+      matched = (await receiveParsed(reassemble(parsed))) || matched;
+    }
+    return matched;
+  }
+
+  /**
+   * The whole message once its last part is in (null until then)
+   */
+  function reassemble(parsed) {
+    if (!parsed.part || parsed.from === botName || !isAddressedTo(parsed, botName) || !pending.has(parsed.requestId)) {
+      return parsed.part ? null : parsed;
+    }
+    const whole = reassembler.add(parsed);
+    return whole === null ? null : parse(whole, { keys });
+  }
+
+  async function receiveParsed(parsed) {
+    if (!parsed || parsed.from === botName || !pending.has(parsed.requestId)) {
+      return false;
+    }
+    // Further down a handoff chain, bots talk to each other about our request
+    if (!isAddressedTo(parsed, botName)) {
+      return false;
+    }
+    if (parsed.verification === 'forged') {
+      return false;
+    }
+    if (parsed.type !== 'RESPONSE' && parsed.type !== 'CLARIFY') {
+      return false;
+    }
+
+    const entry = pending.get(parsed.requestId);
+    if (track) {
+      await state.track(parsed, { observer: botName });
+    }
+
+    if (parsed.type === 'CLARIFY') {
+      await answerClarify(entry, parsed);
+      return true;
+    }
+
+    if (parsed.status === 'partial' && parsed.seq) {
+      deliverProgress(entry, parsed);
+      arm(entry);
+      return true;
+    }
+
+    // Updates still held back for a missing Seq are passed on before the end
+    flushProgress(entry);
+    settle(entry);
+    if (parsed.status === 'failed') {
+      entry.reject(requestError(`Request ${entry.requestId} failed: ${parsed.result || 'no reason given'}`, 'FAILED', parsed));
+    } else {
+      entry.resolve(parsed);
+    }
+    return true;
+  }
+
+  /**
+   * Pass progress updates on in Seq order, holding back early arrivals
+   */
+  function deliverProgress(entry, parsed) {
+    if (parsed.seq < entry.nextSeq || entry.held.has(parsed.seq)) {
+      return; // Seen already
+    }
+    entry.held.set(parsed.seq, parsed);
+    while (entry.held.has(entry.nextSeq)) {
+      const update = entry.held.get(entry.nextSeq);
+      entry.held.delete(entry.nextSeq);
+      entry.nextSeq++;
+      if (entry.onProgress) entry.onProgress(update);
+    }
+  }
+
+  function flushProgress(entry) {
+    const rest = [...entry.held.values()].sort((a, b) => a.seq - b.seq);
+    entry.held.clear();
+    if (entry.onProgress) rest.forEach(entry.onProgress);
+  }
+
+  /**
+   * Answer a CLARIFY through the caller's callback
+   */
+  async function answerClarify(entry, parsed) {
+    if (!entry.onClarify) {
+      return;
+    }
+
+    try {
+      const answer = await entry.onClarify(parsed);
+      if (!pending.has(entry.requestId) || answer === null || answer === undefined) {
+        return;
+      }
+
+      await post(buildResponse({
+        to: parsed.from,
+        from: botName,
+        requestId: entry.requestId,
+        result: String(answer),
+        depth: replyDepth(parsed.depth),
+        signingKey
+      }));
+      arm(entry);
+    } catch (err) {
+      settle(entry);
+      entry.reject(err);
+    }
+  }
+
+  /**
+   * (Re)start the timeout for a pending request
+   */
+  function arm(entry) {
+    clearTimeout(entry.timer);
+    // Answering a CLARIFY restarts the timer, but never past the Deadline
+    const delay = entry.deadline === null
+      ? entry.timeoutMs
+      : Math.max(0, Math.min(entry.timeoutMs, entry.deadline - Date.now()));
+    entry.timer = setTimeout(async () => {
+      settle(entry);
+      const message = `Request ${entry.requestId} timed out after ${delay} ms`;
+      if (track) {
+        await state.timeout(entry.requestId, message).catch(() => {});
+      }
+      entry.reject(requestError(message, 'TIMEOUT'));
+    }, delay);
+  }
+
+  function settle(entry) {
+    clearTimeout(entry.timer);
+    pending.delete(entry.requestId);
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+  }
+
+  /**
+   * Stop listening and reject everything still pending
+   */
+  function close() {
+    if (transport) {
+      transport.removeListener('message', listener);
+    }
+    for (const entry of [...pending.values()]) {
+      settle(entry);
+      entry.reject(requestError(`Client closed before ${entry.requestId} completed`, 'CLOSED'));
+    }
+  }
+
+  return {
+    request,
+    stream,
+    cancel,
+    receive,
+    pending: () => [...pending.keys()],
+    close
+  };
+}
+
+/**
+ * Error carrying a code (and the RESPONSE, for failures)
+ */
+function requestError(message, code, response) {
+  const err = new Error(message);
+  err.code = code;
+  if (response) {
+    err.response = response;
+  }
+  return err;
+}
+
+module.exports = { createClient };
@@ -0,0 +1,238 @@
+/**
+ * Bot-to-Bot Protocol Daemon
+ * Watches channels through transports, dispatches protocol messages to
+ * handlers and posts the replies
+ */
+
+const { EventEmitter } = require('events');
+const { createRouter } = require('./router.js');
+const { parseAll } = require('./parser.js');
+const { buildChunks } = require('./builder.js');
+const { createReassembler } = require('./reassembly.js');
+const defaultState = require('./state.js');
+
+const DEFAULT_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Create a protocol daemon
+ *
+ * Handlers are registered per message type on the daemon's router (see
+ * router.js for how return values become replies). Their context also
+ * holds { transport, send } for the channel the message arrived on.
+ *
+ * Events: `message` (parsed, transport), `ignored` (router outcome),
+ * `denied` (router outcome), `sent` (text, transport), `timeout`
+ * (requestIds), `incomplete` (split messages whose parts timed out, see
+ * reassembly.js), `error` (err).
+ *
+ * `keys`, `signingKey`, `policy`, `capabilities`, `mode` and `diagnostics`
+ * are passed to the router (see router.js). The failed RESPONSE to a denied
+ * message, a malformed payload or an unreadable message is still sent.
+ *
+ * With `discovery` (see discovery.js) the daemon announces itself on
+ * start, says goodbye on stop, and feeds every accepted BROADCAST to it so
+ * the directory stays current and matching queries get answered.
+ *
+ * With `maxLength` (see PLATFORM_LIMITS in builder.js) longer messages are
+ * sent as numbered parts (see buildChunks). Incoming parts are collected in
+ * `reassembler` until the message is complete.
+ *
+ * @param {object} options - { botName, transports, state, handlers, checkInterval, keys, signingKey, policy, capabilities, mode, diagnostics, discovery, maxLength, reassembler }
+ * @returns {EventEmitter} - Daemon
+ */
+function createDaemon({ botName, transports = [], state = defaultState, handlers = {}, checkInterval = DEFAULT_CHECK_INTERVAL, keys, signingKey, policy, capabilities, mode, diagnostics, discovery, maxLength, reassembler = createReassembler() } = {}) {
+  if (!botName) {
+    throw new Error('createDaemon requires botName');
+  }
+
+  const daemon = new EventEmitter();
+  const router = createRouter({ botName, state, keys, signingKey, policy, capabilities, mode, diagnostics, reassembler });
+  const attached = new Map();
+  const inFlight = new Set(); // receive() calls still being handled
+  let timer = null;
+  let running = false;
+
+  daemon.botName = botName;
+  daemon.router = router;
+  daemon.discovery = discovery || null;
+  daemon.transports = [];
+
+  /**
+   * Register a handler for a message type
+   */
+  daemon.handle = (type, handler) => {
+    router.on(type, handler);
+    return daemon;
+  };
+
+  /**
+   * Watch another channel
+   */
+  daemon.addTransport = (transport) => {
+    daemon.transports.push(transport);
+    if (running) {
+      attach(transport);
+    }
+    return daemon;
+  };
+
+  /**
+   * Post a message on one transport, or on every transport
+   * Messages over `maxLength` go out as several posts, one per part.
+   */
+  daemon.send = async (text, transport) => {
+    const targets = transport ? [transport] : daemon.transports;
+    const posts = maxLength ? buildChunks(text, { maxLength }) : [text];
+    for (const post of posts) {
+      await Promise.all(targets.map(t => t.send(post)));
+      for (const t of targets) {
+        daemon.emit('sent', post, t);
+      }
+    }
+  };
+
+  /**
+   * Process one raw message received on a transport
+   * A post may batch several protocol messages; each is handled in turn.
+   * @returns {Promise<string|null>} - The reply that was sent (several are
+   *   joined by a blank line), if any
+   */
+  daemon.receive = async (raw, transport) => {
+    const work = receiveAll(raw, transport);
+    inFlight.add(work);
+    try {
+      return await work;
+    } finally {
+      inFlight.delete(work);
+    }
+  };
+
+  async function receiveAll(raw, transport) {
+    const blocks = parseAll(typeof raw === 'string' ? raw : '').map(parsed => parsed.raw);
+    if (blocks.length <= 1) {
+      return receiveOne(raw, transport);
+    }
+
+    const replies = [];
+    for (const block of blocks) {
+      const reply = await receiveOne(block, transport);
+      if (reply) replies.push(reply);
+    }
+    return replies.length > 0 ? replies.join('\n\n') : null;
+  }
+
+  async function receiveOne(raw, transport) {
+    const send = text => daemon.send(text, transport);
+    const outcome = await router.handle(raw, { transport, send });
+
+    if (discovery && outcome.parsed && (outcome.reason === null || outcome.reason === 'no-handler')) {
+      await discovery.observe(outcome.parsed);
+    }
+
+    if (outcome.reason === 'denied') {
+      daemon.emit('denied', outcome);
+    } else if (outcome.reason !== null && outcome.reason !== 'no-handler') {
+      daemon.emit('ignored', outcome);
+    } else {
+      daemon.emit('message', outcome.parsed, transport);
+    }
+
+    // Unhandled messages may still be answered (denied, invalid payload)
+
+    if (!outcome.reply) {
+      return null;
+    }
+
+    await send(outcome.reply);
+    return outcome.reply;
+  }
+
+  /**
+   * Start watching all transports and checking timeouts
+   */
+  daemon.start = () => {
+    if (running) return daemon;
+    running = true;
+
+    daemon.transports.forEach(attach);
+
+    if (checkInterval > 0) {
+      timer = setInterval(checkTimeouts, checkInterval);
+      timer.unref();
+    }
+    if (discovery) {
+      discovery.announce().catch(reportError);
+    }
+    return daemon;
+  };
+
+  /**
+   * Stop watching and close all transports
+   * Messages already received are handled (and answered) first.
+   */
+  daemon.stop = async () => {
+    if (!running) return;
+    running = false;
+
+    if (discovery) {
+      await discovery.leave().catch(reportError);
+    }
+
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    for (const [transport, listener] of attached) {
+      transport.removeListener('message', listener);
+    }
+    attached.clear();
+    await Promise.allSettled([...inFlight]);
+    await Promise.all(daemon.transports.map(t => t.close()));
+  };
+
+  function attach(transport) {
+    if (attached.has(transport)) return;
+
+    const listener = (raw) => {
+      daemon.receive(raw, transport).catch(reportError);
+    };
+    attached.set(transport, listener);
+    transport.on('message', listener);
+  }
+
+  async function checkTimeouts() {
+    try {
+      const timedOut = await state.checkTimeouts();
+      if (timedOut.length > 0) {
+        daemon.emit('timeout', timedOut);
+      }
+      const incomplete = reassembler.prune();
+      if (incomplete.length > 0) {
+        daemon.emit('incomplete', incomplete);
+      }
+    } catch (err) {
+      reportError(err);
+    }
+  }
+
+  function reportError(err) {
+    if (daemon.listenerCount('error') > 0) {
+      daemon.emit('error', err);
+    } else {
+      console.error(`[bot-protocol] ${botName}: ${err.stack || err.message}`);
+    }
+  }
+
+  if (discovery && !discovery.send) {
+    discovery.send = text => daemon.send(text);
+  }
+
+  transports.forEach(t => daemon.transports.push(t));
+  for (const [type, handler] of Object.entries(handlers)) {
+    daemon.handle(type, handler);
+  }
+
+  return daemon;
+}
+
+module.exports = { createDaemon };
@@ -0,0 +1,318 @@
+/**
+ * Bot-to-Bot Protocol Discovery
+ * Announce / query over BROADCAST, and a local directory of peers and the
+ * capabilities they offer, so tasks can go to whoever handles them
+ *
+ * Discovery messages are ordinary BROADCASTs whose Data holds
+ * `{ discovery: 'announce' | 'query' | 'leave', ... }`:
+ *   - announce: { bot, version, protocols, capabilities: [{ name, description, input, output }], ttl, inReplyTo }
+ *   - query:    { capability }  (omitted: "who is online?")
+ *   - leave:    { bot }
+ */
+
+const { buildBroadcast } = require('./builder.js');
+const { parseDuration, formatDuration } = require('./duration.js');
+const { createCapabilityRegistry } = require('./capabilities.js');
+const { SUPPORTED_VERSIONS, negotiate } = require('./versions.js');
+
+const DEFAULT_TTL = 10 * 60 * 1000; // 10 minutes
+const KINDS = ['announce', 'query', 'leave'];
+
+/**
+ * Build an announcement of a bot and its capabilities
+ * @param {object} options - { from, version, capabilities, ttl, inReplyTo, signingKey }
+ * @returns {string} - BROADCAST message
+ */
+function buildAnnounce({ from, version, capabilities = [], ttl = DEFAULT_TTL, inReplyTo, signingKey }) {
+  const offered = capabilities.map(describeCapability);
+  const names = offered.map(c => c.name).join(', ') || 'no declared capabilities';
+  const ttlMs = parseDuration(ttl);
+  if (ttlMs === null) {
+    throw new Error(`Invalid ttl: ${ttl}`);
+  }
+  const data = {
+    discovery: 'announce',
+    bot: from,
+    version: version || null,
+    protocols: SUPPORTED_VERSIONS,
+    capabilities: offered,
+    ttl: formatDuration(ttlMs)
+  };
+  if (inReplyTo) data.inReplyTo = inReplyTo;
+
+  return buildBroadcast({
+    from,
+    message: `${from}${version ? ` ${version}` : ''} is online: ${names}`,
+    data,
+    signingKey
+  });
+}
+
+/**
+ * Build a query for bots offering a capability (or for every bot online)
+ * @param {object} options - { from, capability, signingKey }
+ * @returns {string} - BROADCAST message
+ */
+function buildQuery({ from, capability, signingKey }) {
+  const data = { discovery: 'query' };
+  if (capability) data.capability = capability;
+
+  return buildBroadcast({
+    from,
+    message: capability ? `Who can handle ${capability}?` : 'Who is online?',
+    data,
+    signingKey
+  });
+}
+
+/**
+ * Build a notice that a bot is going offline
+ */
+function buildLeave({ from, signingKey }) {
+  return buildBroadcast({
+    from,
+    message: `${from} is going offline`,
+    data: { discovery: 'leave', bot: from },
+    signingKey
+  });
+}
+
+/**
+ * Read the discovery payload of a parsed message
+ * @returns {object|null} - { kind, bot, version, protocols, capabilities, ttl, capability, inReplyTo }
+ */
+function readDiscovery(parsed) {
+  if (!parsed || parsed.type !== 'BROADCAST' || !parsed.data || typeof parsed.data !== 'object') {
+    return null;
+  }
+  const { discovery, version, protocols, capabilities, ttl, capability, inReplyTo } = parsed.data;
+  if (!KINDS.includes(discovery)) {
+    return null;
+  }
+  return {
+    kind: discovery,
+    // The sender is who the message is from, whatever the payload claims
+    bot: parsed.from,
+    version: version || null,
+    // Older announcements only tell us the version they were sent in
+    protocols: Array.isArray(protocols) ? protocols : [parsed.protocol],
+    capabilities: Array.isArray(capabilities) ? capabilities.filter(c => c && c.name) : [],
+    ttl: parseDuration(ttl),
+    capability: capability || null,
+    inReplyTo: inReplyTo || null
+  };
+}
+
+/**
+ * Create a directory of peers seen through announcements
+ *
+ * Entries expire `ttl` after the last announcement (the announced ttl wins
+ * when given). Announced capabilities are kept in `directory.capabilities`,
+ * a capability registry the builder can check outgoing data against.
+ * Forged announcements and leave notices (see signing.js) are ignored, so
+ * nobody can rewrite or remove a peer whose key we know.
+ *
+ * @param {object} options - { ttl }
+ * @returns {object} - { record, get, peers, find, pick, remove, prune, capabilities }
+ */
+function createDirectory({ ttl = DEFAULT_TTL } = {}) {
+  const entries = new Map(); // lowercased bot → entry
+  const capabilities = createCapabilityRegistry();
+
+  const directory = {
+    capabilities,
+
+    /**
+     * Update the directory from a parsed message
+     * @returns {object|null} - The discovery payload, if the message had one
+     *   (null for a forged one)
+     */
+    record(parsed) {
+      if (parsed && parsed.verification === 'forged') {
+        return null;
+      }
+      const info = readDiscovery(parsed);
+      if (!info || info.kind === 'query') {
+        return info;
+      }
+
+      directory.remove(info.bot);
+      if (info.kind === 'leave') {
+        return info;
+      }
+
+      const now = Date.now();
+      entries.set(info.bot.toLowerCase(), {
+        bot: info.bot,
+        version: info.version,
+        // Highest protocol version we both speak, for building messages to this peer
+        protocol: negotiate(info.protocols),
+        capabilities: info.capabilities.map(c => c.name),
+        verification: parsed.verification,
+        seenAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + (info.ttl || ttl)).toISOString()
+      });
+      for (const capability of info.capabilities) {
+        capabilities.declare(info.bot, capability.name, capability);
+      }
+      return info;
+    },
+
+    get(bot) {
+      directory.prune();
+      return (bot && entries.get(bot.toLowerCase())) || null;
+    },
+
+    /**
+     * Every live peer, most recently seen first
+     */
+    peers() {
+      directory.prune();
+      return [...entries.values()].sort((a, b) => b.seenAt.localeCompare(a.seenAt));
+    },
+
+    /**
+     * Peers offering a capability, by name or by words in its description
+     */
+    find(wanted) {
+      const needle = String(wanted).toLowerCase();
+      return directory.peers().filter(peer =>
+        capabilities.list(peer.bot).some(c =>
+          c.name.toLowerCase() === needle ||
+          (c.description || '').toLowerCase().includes(needle)));
+    },
+
+    /**
+     * Name of the peer to delegate a task to, or null if nobody offers it
+     */
+    pick(wanted) {
+      const [peer] = directory.find(wanted);
+      return peer ? peer.bot : null;
+    },
+
+    remove(bot) {
+      entries.delete(bot.toLowerCase());
+      capabilities.remove(bot);
+      return directory;
+    },
+
+    /**
+     * Drop expired peers
+     * @returns {string[]} - Names of the peers removed
+     */
+    prune() {
+      const now = new Date().toISOString();
+      const expired = [...entries.values()].filter(entry => entry.expiresAt <= now).map(entry => entry.bot);
+      expired.forEach(directory.remove);
+      return expired;
+    }
+  };
+
+  return directory;
+}
+
+/**
+ * Create the discovery side of a bot: announces itself, answers queries
+ * it can help with and keeps a directory of everyone else
+ *
+ * `capabilities` is a capability registry (our own entries are announced)
+ * or a list of capabilities / capability names. `send(text)` posts to the
+ * channel; the daemon provides it when given `discovery`.
+ *
+ * @param {object} options - { botName, version, capabilities, directory, ttl, send, signingKey }
+ * @returns {object} - { announce, query, leave, observe, directory }
+ */
+function createDiscovery({ botName, version, capabilities = [], directory, ttl = DEFAULT_TTL, send, signingKey } = {}) {
+  if (!botName) {
+    throw new Error('createDiscovery requires botName');
+  }
+
+  const discovery = {
+    botName,
+    directory: directory || createDirectory({ ttl }),
+    send,
+
+    /**
+     * Announce ourselves (optionally in answer to a query)
+     * @returns {Promise<string>} - The message sent
+     */
+    async announce(inReplyTo) {
+      return post(buildAnnounce({ from: botName, version, capabilities: offered(), ttl, inReplyTo, signingKey }));
+    },
+
+    /**
+     * Ask who offers a capability; peers answer by announcing themselves
+     * @returns {Promise<string>} - The message sent
+     */
+    async query(capability) {
+      return post(buildQuery({ from: botName, capability, signingKey }));
+    },
+
+    /**
+     * Tell peers we are going offline
+     */
+    async leave() {
+      return post(buildLeave({ from: botName, signingKey }));
+    },
+
+    /**
+     * Handle an incoming message: record announcements, answer queries
+     * @returns {Promise<string|null>} - Our announcement if a query matched us
+     */
+    async observe(parsed) {
+      const info = discovery.directory.record(parsed);
+      if (!info || info.kind !== 'query' || !offers(info.capability)) {
+        return null;
+      }
+      return discovery.announce(parsed.requestId);
+    }
+  };
+
+  function offered() {
+    const list = typeof capabilities.list === 'function' ? capabilities.list(botName) : capabilities;
+    return list.map(describeCapability);
+  }
+
+  function offers(wanted) {
+    if (!wanted) {
+      return true;
+    }
+    const needle = wanted.toLowerCase();
+    return offered().some(c => c.name.toLowerCase() === needle || (c.description || '').toLowerCase().includes(needle));
+  }
+
+  async function post(message) {
+    if (!discovery.send) {
+      throw new Error('createDiscovery requires send to post messages');
+    }
+    await discovery.send(message);
+    return message;
+  }
+
+  return discovery;
+}
+
+/**
+ * Capabilities travel as { name, description, input, output }
+ */
+function describeCapability(capability) {
+  if (typeof capability === 'string') {
+    return { name: capability };
+  }
+  const { name, description, input, output } = capability;
+  const described = { name };
+  if (description) described.description = description;
+  if (input) described.input = input;
+  if (output) described.output = output;
+  return described;
+}
+
+module.exports = {
+  buildAnnounce,
+  buildQuery,
+  buildLeave,
+  readDiscovery,
+  createDirectory,
+  createDiscovery,
+  DEFAULT_TTL
+};
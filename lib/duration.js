@@ -0,0 +1,64 @@
+/**
+ * Bot-to-Bot Protocol Durations
+ * Reads and writes the `Timeout` header format (e.g. 90s, 15m, 2h, 1d)
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration into milliseconds
+ * Numbers are taken as milliseconds; strings need a unit ("15m", "1.5h").
+ * @param {number|string} value - Duration
+ * @returns {number|null} - Milliseconds, or null if not a valid duration
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const ms = Math.round(parseFloat(match[1]) * UNITS[match[2].toLowerCase()]);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Format milliseconds with the largest unit that divides them evenly
+ * @param {number} ms - Milliseconds
+ * @returns {string} - Duration such as "15m"
+ */
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % UNITS[unit] === 0) {
+      return `${ms / UNITS[unit]}${unit}`;
+    }
+  }
+  return `${ms}ms`;
+}
+
+/**
+ * Parse a deadline into an ISO 8601 timestamp
+ * @param {Date|string|number} value - Date, date string or epoch milliseconds
+ * @returns {string|null} - ISO timestamp, or null if not a valid date
+ */
+function parseDeadline(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = { parseDuration, formatDuration, parseDeadline };
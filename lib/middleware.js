@@ -0,0 +1,265 @@
+/**
+ * Bot-to-Bot Protocol Middleware
+ * Translates protocol messages into natural language for an agent and
+ * turns the agent's plain reply back into a protocol message
+ */
+
+const { parseDetailed } = require('./parser.js');
+const { buildResponse, buildClarify, incrementDepth } = require('./builder.js');
+const { createReassembler } = require('./reassembly.js');
+const defaultState = require('./state.js');
+
+// Collect message parts for callers that do not bring their own buffer, one per bot
+const defaultReassemblers = new Map(); // lowercased botName → reassembler
+
+const DEFAULT_DEPTH = { current: 1, max: 5 };
+
+/**
+ * Check whether a parsed message is addressed to a bot (directly or via @all)
+ * @param {object} parsed - Parsed protocol message
+ * @param {string} botName - Name of the receiving bot
+ * @returns {boolean}
+ */
+function isAddressedTo(parsed, botName) {
+  if (!parsed || !botName) {
+    return false;
+  }
+
+  const to = parsed.to.toLowerCase();
+  return to === 'all' || to === botName.toLowerCase();
+}
+
+/**
+ * The shared reassembler of a bot, pruned on each use since no daemon does it
+ */
+function defaultReassembler(botName) {
+  const key = botName.toLowerCase();
+  if (!defaultReassemblers.has(key)) {
+    defaultReassemblers.set(key, createReassembler());
+  }
+  const reassembler = defaultReassemblers.get(key);
+  reassembler.prune();
+  return reassembler;
+}
+
+/**
+ * Preprocess an incoming raw message before it reaches the agent
+ *
+ * Reasons for not intercepting: 'not-protocol' (with `errors` and the
+ * `partial` message from parseDetailed), 'own-message', 'not-addressed',
+ * 'duplicate' (already tracked by this bot), 'incomplete' (a part of a
+ * split message; once the last part arrives the whole message is handled,
+ * see reassembly.js; without `context.reassembler` each bot gets one of its
+ * own, pruned as parts arrive) and 'denied' (refused by `policy`, with
+ * `denial` and `metadata` for the reply). Denied messages are not tracked.
+ *
+ * @param {string|object} rawMessage - Raw message text, or an object with a `content` property
+ * @param {object} context - { botName, state, track, keys, mode, reassembler, policy }
+ *   (keys: registry for Signature checks, sets parsed.verification;
+ *   mode: 'lenient' or 'strict' parsing, see parser.js; policy: see policy.js)
+ * @returns {Promise<object>} - { intercepted: false, reason } or
+ *   { intercepted: true, parsed, naturalLanguage, metadata, conversation }
+ *   (conversation is the tracked record, null when tracking is off)
+ */
+async function preprocessMessage(rawMessage, context = {}) {
+  const { botName } = context;
+  if (!botName) {
+    throw new Error('preprocessMessage requires context.botName');
+  }
+
+  const text = typeof rawMessage === 'string' ? rawMessage : rawMessage && rawMessage.content;
+  const { parsed, errors, partial } = parseDetailed(text, { keys: context.keys, mode: context.mode });
+
+  if (!parsed) {
+    return { intercepted: false, reason: 'not-protocol', errors, partial };
+  }
+  if (parsed.from.toLowerCase() === botName.toLowerCase()) {
+    return { intercepted: false, reason: 'own-message', parsed };
+  }
+  if (!isAddressedTo(parsed, botName)) {
+    return { intercepted: false, reason: 'not-addressed', parsed };
+  }
+
+  // Parts are never tracked on their own; the reassembled message is
+  if (parsed.part) {
+    const whole = (context.reassembler || defaultReassembler(botName)).add(parsed);
+    if (whole === null) {
+      return { intercepted: false, reason: 'incomplete', parsed };
+    }
+    return preprocessMessage(whole, context);
+  }
+
+  // Refused messages are dropped before they reach the store. Redeliveries
+  // are sorted out first so they take no rate limit slot and get no denial
+  const state = context.state || defaultState;
+  if (context.policy && context.track !== false && await state.seen(parsed, { observer: botName })) {
+    return { intercepted: false, reason: 'duplicate', parsed };
+  }
+  if (context.policy) {
+    const decision = context.policy.check(parsed);
+    if (!decision.allowed) {
+      return { intercepted: false, reason: 'denied', parsed, denial: decision.reason, metadata: buildMetadata(parsed, botName) };
+    }
+  }
+
+  let conversation = null;
+  if (context.track !== false) {
+    conversation = await state.track(parsed, { observer: botName });
+    // Seen before (edit, reconnect, re-scan): handling it again must not redo the work
+    if (conversation.duplicate) {
+      return { intercepted: false, reason: 'duplicate', parsed };
+    }
+  }
+
+  return {
+    intercepted: true,
+    parsed,
+    naturalLanguage: toNaturalLanguage(parsed),
+    metadata: buildMetadata(parsed, botName),
+    conversation
+  };
+}
+
+/**
+ * Turn the agent's reply into a protocol message
+ *
+ * A plain string becomes a RESPONSE (Status: done). An object may carry
+ * `{ content, status, data }` for a RESPONSE or `{ question }` for a CLARIFY.
+ * Replies to a CLARIFY are RESPONSEs that answer the question, without a status.
+ * RESPONSEs to a HANDOFF go to its Callback bot; questions go to whoever handed off.
+ * RESPONSE, BROADCAST and CANCEL messages expect no reply, so null is returned.
+ *
+ * @param {string|object} agentResponse - The agent's reply
+ * @param {object} metadata - Metadata returned by preprocessMessage
+ * @param {object} options - { signingKey } to sign the reply
+ * @returns {string|null} - Protocol message to send, or null if no reply is due
+ */
+function postprocessResponse(agentResponse, metadata, options = {}) {
+  if (!metadata || !metadata.requestId || !metadata.originalSender || !metadata.botName) {
+    throw new Error('postprocessResponse requires metadata from preprocessMessage');
+  }
+
+  if (!metadata.expectsReply || agentResponse === null || agentResponse === undefined) {
+    return null;
+  }
+
+  const reply = typeof agentResponse === 'string' ? { content: agentResponse } : agentResponse;
+  const depth = replyDepth(metadata.depth);
+  const base = {
+    to: metadata.originalSender,
+    from: metadata.botName,
+    requestId: metadata.requestId,
+    signingKey: options.signingKey
+  };
+  const replyTo = metadata.replyTo || metadata.originalSender;
+
+  // Questions become a CLARIFY, unless max depth forces a closing partial RESPONSE
+  if (reply.question && metadata.type !== 'CLARIFY') {
+    if (depth.current < depth.max) {
+      return buildClarify({ ...base, question: reply.question, depth });
+    }
+    return buildResponse({ ...base, to: replyTo, status: 'partial', result: reply.question, depth });
+  }
+
+  if (metadata.type === 'CLARIFY') {
+    return buildResponse({ ...base, result: reply.content, data: reply.data, depth });
+  }
+
+  return buildResponse({
+    ...base,
+    to: replyTo,
+    status: reply.status || 'done',
+    result: reply.content,
+    data: reply.data,
+    depth
+  });
+}
+
+/**
+ * Depth for a reply: incremented, but never past the limit
+ * (at max depth the closing RESPONSE reuses the incoming depth)
+ */
+function replyDepth(incomingDepth) {
+  const depth = incomingDepth || DEFAULT_DEPTH;
+  return depth.current < depth.max ? incrementDepth(depth) : { ...depth };
+}
+
+/**
+ * Describe a parsed message in natural language for the agent
+ */
+function toNaturalLanguage(parsed) {
+  const { from, requestId } = parsed;
+  let text;
+
+  switch (parsed.type) {
+    case 'REQUEST':
+      text = `${from} is asking you to: ${parsed.task}`;
+      break;
+    case 'HANDOFF':
+      text = `${from} handed off a task to you: ${parsed.task}`;
+      break;
+    case 'CLARIFY':
+      text = `${from} needs clarification on request ${requestId}: ${parsed.question}`;
+      break;
+    case 'RESPONSE':
+      if (parsed.status === 'partial' && parsed.seq) {
+        text = `${from} sent update ${parsed.seq} on request ${requestId}`;
+        if (parsed.progress !== null) text += ` (${parsed.progress}% done)`;
+      } else {
+        text = `${from} replied to request ${requestId}`;
+        if (parsed.status) text += ` (${parsed.status})`;
+      }
+      if (parsed.result) text += `: ${parsed.result}`;
+      break;
+    case 'BROADCAST':
+      text = `${from} announced to all bots: ${parsed.message}`;
+      break;
+    case 'CANCEL':
+      text = `${from} cancelled request ${requestId}`;
+      if (parsed.reason) text += `: ${parsed.reason}`;
+      break;
+  }
+
+  if (parsed.data !== undefined && !parsed.dataError) {
+    text += `\nData: ${JSON.stringify(parsed.data)}`;
+  }
+  if (parsed.dataError) {
+    text += `\n(${parsed.dataError})`;
+  }
+  if (parsed.context) {
+    text += `\nContext: ${parsed.context}`;
+  }
+  if (parsed.priority && parsed.priority !== 'normal') {
+    text += `\nPriority: ${parsed.priority}`;
+  }
+
+  return text;
+}
+
+/**
+ * Correlation metadata needed to build the reply later
+ */
+function buildMetadata(parsed, botName) {
+  return {
+    requestId: parsed.requestId,
+    type: parsed.type,
+    originalSender: parsed.from,
+    // Final RESPONSEs go to the Callback bot when there is one (HANDOFF chains)
+    replyTo: defaultState.callbackBot(parsed.callback) || parsed.from,
+    botName,
+    depth: parsed.depth || { ...DEFAULT_DEPTH },
+    // When the sender stops waiting, as an ISO timestamp (null if unbounded)
+    deadline: parsed.deadline ||
+      (parsed.timeout ? new Date(Date.now() + parsed.timeout).toISOString() : null),
+    expectsReply: ['REQUEST', 'HANDOFF', 'CLARIFY'].includes(parsed.type),
+    verification: parsed.verification
+  };
+}
+
+module.exports = {
+  preprocessMessage,
+  postprocessResponse,
+  isAddressedTo,
+  replyDepth,
+  toNaturalLanguage
+};
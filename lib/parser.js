@@ -3,68 +3,220 @@
  * Parses structured protocol messages from raw text
  */
 
-const VALID_TYPES = ['REQUEST', 'RESPONSE', 'CLARIFY', 'HANDOFF', 'BROADCAST'];
+const { parseDuration, parseDeadline } = require('./duration.js');
+const { verifySignature } = require('./signing.js');
+const { decodePayload } = require('./payload.js');
+const { unescapeValue, unescapeLine, decodeChunk } = require('./serializer.js');
+const { VERSIONS, CURRENT_VERSION, DEFAULT_VERSION, versionSpec, escapesValues } = require('./versions.js');
+
+const VALID_TYPES = VERSIONS[CURRENT_VERSION].types;
+const KNOWN_FIELDS = VERSIONS[CURRENT_VERSION].fields;
+const PARSE_MODES = ['lenient', 'strict'];
+const ENUM_FIELDS = ['status', 'priority'];
 const VALID_STATUSES = ['done', 'partial', 'failed'];
 const VALID_PRIORITIES = ['low', 'normal', 'high'];
 
 /**
  * Parse a raw message into a protocol object
+ *
+ * With `options.keys` (a key registry or { BotName: key }, see signing.js)
+ * the Signature is checked and `verification` set to 'verified',
+ * 'unverified' or 'forged'; without keys it stays null.
+ *
+ * A Data field is decoded into `data`. A malformed payload leaves `data`
+ * null and explains the problem in `dataError`.
+ *
+ * `protocol` is the declared `Protocol: x.y` version ('0.1' when absent).
+ * In the default 'lenient' mode unknown fields go to `meta` and invalid enum
+ * values become null. In 'strict' mode the message is rejected (null) when
+ * its version is unknown, or it uses a type or field its version lacks, or
+ * an invalid Status or Priority.
+ *
+ * A RESPONSE with `Status: partial` is a progress update (see
+ * buildProgress): `seq` numbers it, `progress` is a percentage and `eta`
+ * the milliseconds left.
+ *
+ * A CANCEL calls off the request with its RequestId; `reason` (optional)
+ * says why.
+ *
+ * A message split into parts (see buildChunks) parses part by part:
+ * `part` is { index, total, id } and `chunk` the slice of the original text it
+ * carries. Type-specific fields are only required of the whole message;
+ * see reassembly.js for putting it back together.
+ *
+ * `raw` is the message's own block, without the text around it (it used
+ * to be the whole input), and `position` is where it was found.
+ *
+ * Use parseDetailed() to find out why a message was rejected.
+ *
  * @param {string} rawText - Raw message text
+ * @param {object} options - { keys, mode }
  * @returns {object|null} - Parsed protocol object or null if not a protocol message
  */
-function parse(rawText) {
+function parse(rawText, options = {}) {
+  return parseDetailed(rawText, options).parsed;
+}
+
+/**
+ * Parse every protocol message in a raw chat message
+ *
+ * Each fenced block (plain ``` or ```protocol) is tried in order; blocks
+ * that are not valid protocol messages are skipped. Every result's `raw` is
+ * its own block and `position` is { start, end, line } in the raw text.
+ *
+ * @param {string} rawText - Raw message text
+ * @param {object} options - { keys, mode } (see parse)
+ * @returns {object[]} - Parsed protocol objects, in order
+ */
+function parseAll(rawText, options = {}) {
+  checkMode(options.mode);
   if (!rawText || typeof rawText !== 'string') {
-    return null;
+    return [];
   }
+  return findBlocks(rawText)
+    .map(block => parseBlock(rawText, block, options).parsed)
+    .filter(Boolean);
+}
 
-  // Extract code block content (strip triple backticks)
-  // Use non-greedy match to handle backticks inside field values
-  const codeBlockMatch = rawText.match(/```\n?([\s\S]*?)```/);
-  if (!codeBlockMatch) {
-    return null;
+/**
+ * Parse a raw message and report every problem found
+ *
+ * Returns the first valid protocol message. When there is none, the
+ * problems reported are those of the block that got furthest (the first
+ * one with a readable header, or else the first block).
+ *
+ * Problems are `{ code, message, line, field }`, with `line` counted from 1
+ * in the raw text (null when it does not apply). Errors reject the message
+ * (`parsed` is null); warnings are values lenient parsing dropped (the
+ * field became null). `partial` holds what could be read despite errors,
+ * e.g. who to tell; it is null when even the header is unreadable.
+ *
+ * @param {string} rawText - Raw message text
+ * @param {object} options - { keys, mode } (see parse)
+ * @returns {object} - { parsed, errors, warnings, partial }
+ */
+function parseDetailed(rawText, options = {}) {
+  checkMode(options.mode);
+
+  const failure = (code, message) => ({
+    parsed: null,
+    errors: [{ code, message, line: null, field: null }],
+    warnings: [],
+    partial: null
+  });
+
+  if (!rawText || typeof rawText !== 'string') {
+    return failure('NOT_TEXT', 'Message is empty or not text');
   }
 
-  const content = codeBlockMatch[1].trim();
-  const lines = content.split('\n');
-  
-  if (lines.length === 0) {
-    return null;
+  const blocks = findBlocks(rawText);
+  if (blocks.length === 0) {
+    return failure('NO_CODE_BLOCK', 'No ``` code block found');
+  }
+
+  let fallback = null;
+  for (const block of blocks) {
+    const detailed = parseBlock(rawText, block, options);
+    if (detailed.parsed) {
+      return detailed;
+    }
+    if (!fallback || (!fallback.partial && detailed.partial)) {
+      fallback = detailed;
+    }
+  }
+  return fallback;
+}
+
+function checkMode(mode) {
+  if (mode && !PARSE_MODES.includes(mode)) {
+    throw new Error(`Unknown parse mode: ${mode}`);
+  }
+}
+
+/**
+ * Every fenced block in the text, with its position
+ * An info string after the opening fence (```protocol) is not content.
+ */
+function findBlocks(rawText) {
+  const blocks = [];
+  const fence = /```(?:[A-Za-z][\w-]*[ \t]*(?=\n))?\n?([\s\S]*?)```/g;
+  let match;
+  while ((match = fence.exec(rawText)) !== null) {
+    const end = match.index + match[0].length;
+    blocks.push({ text: match[0], inner: match[1], start: match.index, end, innerStart: end - 3 - match[1].length });
   }
+  return blocks;
+}
+
+/**
+ * Parse one fenced block
+ */
+function parseBlock(rawText, block, options) {
+  const mode = options.mode || 'lenient';
+  const errors = [];
+  const warnings = [];
+  let partial = null;
+  const fail = (code, message, line = null, field = null) => {
+    errors.push({ code, message, line, field });
+    return { parsed: null, errors, warnings, partial };
+  };
+
+  const content = block.inner.trim();
+  const lines = content.split('\n');
+  const firstLine = lineOf(rawText, block);
 
   // Parse first line: [TYPE → @Recipient]
   const headerMatch = lines[0].match(/^\[(\w+)\s*→\s*@(\S+)\]$/);
   if (!headerMatch) {
-    return null;
+    return fail('BAD_HEADER', `First line must be [TYPE → @Recipient], got "${lines[0]}"`, firstLine);
   }
 
   const [, type, to] = headerMatch;
 
   // Validate type
   if (!VALID_TYPES.includes(type)) {
-    return null;
+    return fail('UNKNOWN_TYPE', `Unknown message type ${type} (expected ${VALID_TYPES.join(', ')})`, firstLine);
   }
 
   // Parse key-value fields
   const result = {
     type,
     to,
+    protocol: null,
     from: null,
     requestId: null,
+    part: null,
+    chunk: null,
     task: null,
+    capability: null,
     result: null,
     context: null,
     depth: null,
     callback: null,
     priority: null,
+    timeout: null,
+    deadline: null,
+    attempt: null,
+    signature: null,
+    verification: null,
+    data: undefined,
+    dataError: null,
     status: null,
+    seq: null,
+    progress: null,
+    eta: null,
     question: null,
     message: null,
+    reason: null,
     meta: {},
-    raw: rawText
+    raw: block.text,
+    position: { start: block.start, end: block.end, line: rawText.slice(0, block.start).split('\n').length }
   };
 
   let currentKey = null;
   let currentValue = [];
+  const seen = []; // { key, name, line, value } per field, in order
+  const escaped = usesEscapes(lines);
 
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i];
@@ -75,27 +227,25 @@ function parse(rawText) {
     if (kvMatch) {
       // Save previous key-value if any
       if (currentKey) {
-        saveField(result, currentKey, currentValue.join('\n'));
+        saveField(result, currentKey, currentValue.join('\n'), escaped);
+        seen[seen.length - 1].value = currentValue.join('\n').trim();
       }
       
       // Start new key-value
       const [, key, value] = kvMatch;
       currentKey = key.toLowerCase();
       currentValue = [value];
+      seen.push({ key, name: currentKey, line: firstLine + i });
     } else if (currentKey) {
-      // Multi-line value continuation
-      currentValue.push(line);
+      // Multi-line value continuation (a leading backslash escapes "Key:" lines)
+      currentValue.push(escaped ? unescapeLine(line) : line);
     }
   }
 
   // Save final key-value
   if (currentKey) {
-    saveField(result, currentKey, currentValue.join('\n'));
-  }
-
-  // Validate required fields
-  if (!result.from || !result.requestId) {
-    return null;
+    saveField(result, currentKey, currentValue.join('\n'), escaped);
+    seen[seen.length - 1].value = currentValue.join('\n').trim();
   }
 
   // Parse depth if present
@@ -111,32 +261,164 @@ function parse(rawText) {
     }
   }
 
-  // Validate type-specific required fields
-  if (type === 'REQUEST' && !result.task) return null;
-  if (type === 'RESPONSE' && !result.result && !result.status) return null;
-  if (type === 'CLARIFY' && !result.question) return null;
-  if (type === 'HANDOFF' && !result.task) return null;
-  if (type === 'BROADCAST' && !result.message) return null;
+  // Parse part if present: "index/total id" of a message split into parts,
+  // the id telling split messages with the same RequestId apart
+  if (result.part) {
+    const partMatch = result.part.match(/^(\d+)\/(\d+)(?:\s+([0-9a-f]+))?$/);
+    const index = partMatch ? parseInt(partMatch[1], 10) : 0;
+    const total = partMatch ? parseInt(partMatch[2], 10) : 0;
+    result.part = index >= 1 && index <= total ? { index, total, id: partMatch[3] || null } : null;
+  }
+
+  partial = result;
+  const invalid = invalidValues(result, seen);
+  result.protocol = result.protocol || DEFAULT_VERSION;
+
+  if (mode === 'strict') {
+    // A malformed Protocol is reported as an unsupported version
+    errors.push(...versionProblems(result, seen));
+    errors.push(...invalid.filter(p => ENUM_FIELDS.includes(p.field.toLowerCase())));
+    warnings.push(...invalid.filter(p => ![...ENUM_FIELDS, 'protocol'].includes(p.field.toLowerCase())));
+  } else {
+    warnings.push(...invalid);
+  }
+
+  // Validate required fields
+  for (const field of requiredFields(result)) {
+    errors.push({ code: 'MISSING_FIELD', message: `${type} requires ${field}`, line: null, field });
+  }
+
+  if (errors.length > 0) {
+    return { parsed: null, errors, warnings, partial };
+  }
+
+  if (options.keys) {
+    result.verification = verifySignature(content, result.from, result.signature, options.keys);
+  }
+
+  return { parsed: result, errors, warnings, partial };
+}
+
+/**
+ * Line number (from 1) of the first line inside a code block
+ */
+function lineOf(rawText, block) {
+  const start = block.innerStart + (block.inner.length - block.inner.trimStart().length);
+  return rawText.slice(0, start).split('\n').length;
+}
+
+/**
+ * Required fields missing from a message, by their header names
+ */
+function requiredFields(result) {
+  const missing = [];
+  if (!result.from) missing.push('From');
+  if (!result.requestId) missing.push('RequestId');
+  // A part only carries a slice of the message; the whole is checked once reassembled
+  if (result.part) {
+    if (result.chunk === null) missing.push('Chunk');
+    return missing;
+  }
+  if (['REQUEST', 'HANDOFF'].includes(result.type) && !result.task) missing.push('Task');
+  if (result.type === 'RESPONSE' && !result.result && !result.status && result.data === undefined) {
+    missing.push('Status, Result or Data');
+  }
+  if (result.type === 'CLARIFY' && !result.question) missing.push('Question');
+  if (result.type === 'BROADCAST' && !result.message) missing.push('Message');
+  return missing;
+}
+
+/**
+ * Values that were present but could not be used (the field became null)
+ */
+function invalidValues(result, seen) {
+  const problems = [];
+  const last = {};
+  for (const entry of seen) {
+    last[entry.name] = entry;
+  }
+
+  const expected = {
+    status: `one of ${VALID_STATUSES.join(', ')}`,
+    priority: `one of ${VALID_PRIORITIES.join(', ')}`,
+    depth: 'current/max, e.g. 1/5',
+    part: 'index/total and a message id, e.g. 2/5 3f9a1c0b2e4d',
+    timeout: 'a duration such as 90s, 15m or 2h',
+    deadline: 'an ISO 8601 date',
+    attempt: 'a positive whole number',
+    seq: 'a positive whole number',
+    progress: 'a percentage from 0 to 100',
+    eta: 'a duration such as 90s, 15m or 2h',
+    protocol: 'a version such as 0.2'
+  };
+  for (const [name, hint] of Object.entries(expected)) {
+    const entry = last[name];
+    if (entry && result[name] === null) {
+      problems.push({
+        code: 'INVALID_VALUE',
+        message: `Invalid ${entry.key} "${entry.value}" (expected ${hint})`,
+        line: entry.line,
+        field: entry.key
+      });
+    }
+  }
+
+  if (result.dataError) {
+    problems.push({ code: 'INVALID_PAYLOAD', message: result.dataError, line: last.data.line, field: last.data.key });
+  }
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Strict mode: the declared version must exist and allow the type and
+ * every field of the message
+ */
+function versionProblems(result, seen) {
+  const declared = seen.filter(entry => entry.name === 'protocol').pop();
+  const version = declared ? declared.value : result.protocol;
+  const spec = versionSpec(version);
+  if (!spec) {
+    return [{ code: 'UNSUPPORTED_VERSION', message: `Unsupported protocol version ${version}`, line: declared.line, field: declared.key }];
+  }
+
+  const problems = [];
+  if (!spec.types.includes(result.type)) {
+    problems.push({ code: 'TYPE_NOT_IN_VERSION', message: `${result.type} is not part of protocol ${result.protocol}`, line: null, field: null });
+  }
+  for (const entry of seen) {
+    if (!spec.fields.includes(entry.name)) {
+      problems.push({
+        code: KNOWN_FIELDS.includes(entry.name) ? 'FIELD_NOT_IN_VERSION' : 'UNKNOWN_FIELD',
+        message: `${entry.key} is not part of protocol ${result.protocol}`,
+        line: entry.line,
+        field: entry.key
+      });
+    }
+  }
+  return problems;
+}
 
-  return result;
+/**
+ * Whether a block's values are escaped: only from protocol 0.2 on, so
+ * older messages keep their backslashes
+ */
+function usesEscapes(lines) {
+  const declared = lines.slice(1).filter(line => /^Protocol:/i.test(line)).pop();
+  const version = declared ? declared.replace(/^Protocol:/i, '').trim() : DEFAULT_VERSION;
+  return escapesValues(version);
 }
 
 /**
  * Save a field to the result object
  * Known fields go to their properties, unknown fields go to meta
  */
-function saveField(result, key, value) {
-  const cleanValue = value.trim();
+function saveField(result, key, value, escaped) {
+  const cleanValue = escaped ? unescapeValue(value.trim()) : value.trim();
   
-  const knownFields = [
-    'from', 'requestid', 'task', 'result', 'context', 'depth',
-    'callback', 'priority', 'status', 'question', 'message'
-  ];
-
   const normalizedKey = key.toLowerCase().replace(/[-_]/g, '');
 
   // Check if this is a known field
-  const isKnown = knownFields.includes(normalizedKey);
+  const isKnown = KNOWN_FIELDS.includes(normalizedKey);
 
   if (isKnown) {
     // Handle special case for requestId
@@ -153,10 +435,53 @@ function saveField(result, key, value) {
     if (normalizedKey === 'priority' && !VALID_PRIORITIES.includes(cleanValue)) {
       result.priority = null;
     }
+
+    // Timeout becomes milliseconds, Deadline an ISO timestamp (null if invalid)
+    if (normalizedKey === 'timeout') {
+      result.timeout = parseDuration(cleanValue);
+    }
+    if (normalizedKey === 'deadline') {
+      result.deadline = parseDeadline(cleanValue);
+    }
+
+    if (normalizedKey === 'chunk') {
+      result.chunk = decodeChunk(cleanValue);
+    }
+
+    if (normalizedKey === 'data') {
+      try {
+        result.data = decodePayload(cleanValue);
+      } catch (err) {
+        result.data = null;
+        result.dataError = err.message;
+      }
+    }
+
+    // Protocol is "major.minor"; anything else counts as undeclared
+    if (normalizedKey === 'protocol') {
+      result.protocol = /^\d+\.\d+$/.test(cleanValue) ? cleanValue : null;
+    }
+
+    // Attempt counts resends of a REQUEST (1 is the first send)
+    if (normalizedKey === 'attempt') {
+      result.attempt = /^[1-9]\d*$/.test(cleanValue) ? parseInt(cleanValue, 10) : null;
+    }
+
+    // Progress updates: Seq orders them (from 1), Progress is a percentage, ETA a duration
+    if (normalizedKey === 'seq') {
+      result.seq = /^[1-9]\d*$/.test(cleanValue) ? parseInt(cleanValue, 10) : null;
+    }
+    if (normalizedKey === 'progress') {
+      const percent = /^\d+(\.\d+)?%?$/.test(cleanValue) ? parseFloat(cleanValue) : null;
+      result.progress = percent !== null && percent <= 100 ? percent : null;
+    }
+    if (normalizedKey === 'eta') {
+      result.eta = parseDuration(cleanValue);
+    }
   } else {
     // Unknown field - store in meta for forward compatibility
     result.meta[key] = cleanValue;
   }
 }
 
-module.exports = { parse };
+module.exports = { parse, parseAll, parseDetailed };
@@ -0,0 +1,62 @@
+/**
+ * Bot-to-Bot Protocol Payloads
+ * Encodes structured data for the `Data` field as indented JSON, readable
+ * in the channel and decoded back into objects by the parser
+ */
+
+/**
+ * Encode a value for the Data field
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} - Pretty-printed JSON
+ */
+function encodePayload(value) {
+  let json;
+  try {
+    json = JSON.stringify(value, null, 2);
+  } catch (err) {
+    throw payloadError(`Data is not serializable: ${err.message}`);
+  }
+  if (json === undefined) {
+    throw payloadError(`Data is not serializable: ${typeof value}`);
+  }
+  return json;
+}
+
+/**
+ * Decode the text of a Data field
+ * @param {string} text - Field value
+ * @returns {*} - Decoded value
+ * @throws {Error} - err.code 'INVALID_PAYLOAD' with the position of the problem
+ */
+function decodePayload(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw payloadError('Invalid Data payload: empty');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw payloadError(`Invalid Data payload: ${describeJsonError(err, text)}`);
+  }
+}
+
+/**
+ * Turn a JSON.parse error into a message with a line number
+ */
+function describeJsonError(err, text) {
+  const position = err.message.match(/position (\d+)/);
+  if (!position) {
+    return err.message;
+  }
+  const offset = parseInt(position[1], 10);
+  const line = text.slice(0, offset).split('\n').length;
+  const reason = err.message.replace(/ in JSON at position \d+.*$/, '');
+  return `${reason} (line ${line} of Data)`;
+}
+
+function payloadError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PAYLOAD';
+  return err;
+}
+
+module.exports = { encodePayload, decodePayload };
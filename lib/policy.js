@@ -0,0 +1,160 @@
+/**
+ * Bot-to-Bot Protocol Authorization Policy
+ * Decides who may send us what: allow/deny rules by sender, message type,
+ * task pattern and signature, plus a per-sender rate limit
+ */
+
+const ACTIONS = ['allow', 'deny'];
+
+/**
+ * Create a policy
+ *
+ * Rules are checked in order and the first match decides; without a match
+ * `defaultAction` applies. A rule matches when all of its conditions do:
+ *   - from:         bot name or list of names ('*' or omitted for anyone)
+ *   - type:         message type or list of types
+ *   - task:         RegExp, or a string the task must contain (case-insensitive)
+ *   - verification: 'verified' | 'unverified' | 'forged' or a list (see signing.js)
+ * A rule may carry a `reason` used when it denies.
+ *
+ * `rateLimit` ({ max, windowMs, senders: { BotName: max } }) caps how many
+ * allowed messages each sender gets per window.
+ *
+ * @param {object} options - { rules, defaultAction, rateLimit }
+ * @returns {object} - { check, allow, deny, reset, rules }
+ */
+function createPolicy({ rules = [], defaultAction = 'allow', rateLimit = null } = {}) {
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`Unknown policy action: ${defaultAction}`);
+  }
+
+  const policy = { rules: [] };
+  const hits = new Map(); // Sender → timestamps of allowed messages in the window
+
+  function addRule(rule) {
+    if (!rule || !ACTIONS.includes(rule.action)) {
+      throw new Error(`Policy rule needs an action (${ACTIONS.join(' or ')})`);
+    }
+    policy.rules.push(rule);
+    return policy;
+  }
+
+  /**
+   * Add an allow rule
+   */
+  policy.allow = (conditions = {}) => addRule({ ...conditions, action: 'allow' });
+
+  /**
+   * Add a deny rule
+   */
+  policy.deny = (conditions = {}) => addRule({ ...conditions, action: 'deny' });
+
+  /**
+   * Decide on a parsed message
+   * Allowed messages count towards the sender's rate limit.
+   * @param {object} parsed - Parsed protocol message
+   * @returns {object} - { allowed, reason, rule }
+   */
+  policy.check = (parsed) => {
+    const rule = policy.rules.find(r => matches(r, parsed)) || null;
+    const action = rule ? rule.action : defaultAction;
+
+    if (action === 'deny') {
+      return { allowed: false, reason: (rule && rule.reason) || denyReason(parsed), rule };
+    }
+
+    if (rateLimit && !takeSlot(parsed.from)) {
+      return { allowed: false, reason: rateReason(parsed.from), rule };
+    }
+
+    return { allowed: true, reason: null, rule };
+  };
+
+  /**
+   * Forget rate limit history (for one sender, or everyone)
+   */
+  policy.reset = (sender) => {
+    if (sender) {
+      hits.delete(sender.toLowerCase());
+    } else {
+      hits.clear();
+    }
+    return policy;
+  };
+
+  /**
+   * Record a message for the sender if the window has room
+   */
+  function takeSlot(sender) {
+    const key = (sender || '').toLowerCase();
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter(at => now - at < rateLimit.windowMs);
+
+    if (recent.length >= limitFor(key)) {
+      hits.set(key, recent);
+      return false;
+    }
+    recent.push(now);
+    hits.set(key, recent);
+    return true;
+  }
+
+  function limitFor(key) {
+    const overrides = rateLimit.senders || {};
+    const name = Object.keys(overrides).find(n => n.toLowerCase() === key);
+    return name ? overrides[name] : rateLimit.max;
+  }
+
+  function rateReason(sender) {
+    const max = limitFor((sender || '').toLowerCase());
+    return `Rate limit exceeded for ${sender}: at most ${max} messages per ${Math.round(rateLimit.windowMs / 1000)}s`;
+  }
+
+  for (const rule of rules) {
+    addRule(rule);
+  }
+  return policy;
+}
+
+/**
+ * Whether every condition of a rule holds for a message
+ */
+function matches(rule, parsed) {
+  if (rule.from && rule.from !== '*' && !list(rule.from).some(name => sameName(name, parsed.from))) {
+    return false;
+  }
+  if (rule.type && !list(rule.type).includes(parsed.type)) {
+    return false;
+  }
+  if (rule.task && !matchesTask(rule.task, parsed.task)) {
+    return false;
+  }
+  if (rule.verification && !list(rule.verification).includes(parsed.verification)) {
+    return false;
+  }
+  return true;
+}
+
+function matchesTask(pattern, task) {
+  if (!task) {
+    return false;
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(task);
+  }
+  return task.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function sameName(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function denyReason(parsed) {
+  return `${parsed.from} is not allowed to send ${parsed.type}${parsed.task ? ` (task: ${parsed.task})` : ''}`;
+}
+
+module.exports = { createPolicy };
@@ -0,0 +1,119 @@
+/**
+ * Bot-to-Bot Protocol Reassembly
+ * Collects the parts of a message split by buildChunks() and puts the
+ * original text back together once every part has arrived
+ *
+ * Parts may arrive in any order. A set that is still incomplete `timeout`
+ * after its first part is dropped by prune() (the daemon calls it with its
+ * timeout checks); a part arriving for an expired set starts a new one.
+ * Late copies of parts of a message already put together are ignored.
+ */
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Create a reassembly buffer
+ * @param {object} options - { timeout } (milliseconds)
+ * @returns {object} - { add, pending, prune }
+ */
+function createReassembler({ timeout = DEFAULT_TIMEOUT } = {}) {
+  const sets = new Map(); // key → { type, from, requestId, total, chunks, startedAt }
+  const completed = new Map(); // key → time completed, so late copies of a message start no new set
+
+  const reassembler = {
+    timeout,
+
+    /**
+     * Add a parsed part
+     * @param {object} parsed - Parsed message with `part` and `chunk`
+     * @returns {string|null} - The whole message text once complete, else null
+     */
+    add(parsed) {
+      if (!parsed || !parsed.part || parsed.chunk === null) {
+        throw new Error('reassembler.add requires a parsed message part');
+      }
+
+      const key = keyOf(parsed);
+      const now = Date.now();
+      if (completed.has(key) && completed.get(key) > now - timeout) {
+        return null;
+      }
+
+      const { index, total } = parsed.part;
+      let set = sets.get(key);
+      // A different total means the sender split the message again; start over
+      if (!set || set.total !== total || set.startedAt <= now - timeout) {
+        set = {
+          type: parsed.type,
+          from: parsed.from,
+          requestId: parsed.requestId,
+          total,
+          chunks: new Map(), // index → chunk
+          startedAt: now
+        };
+        sets.set(key, set);
+      }
+
+      if (!set.chunks.has(index)) {
+        set.chunks.set(index, parsed.chunk);
+      }
+      if (set.chunks.size < set.total) {
+        return null;
+      }
+
+      sets.delete(key);
+      completed.set(key, now);
+      let text = '';
+      for (let i = 1; i <= set.total; i++) {
+        text += set.chunks.get(i);
+      }
+      return text;
+    },
+
+    /**
+     * Incomplete sets, oldest first
+     * @returns {object[]} - { type, from, requestId, received, total, startedAt }
+     */
+    pending() {
+      return [...sets.values()].map(describe);
+    },
+
+    /**
+     * Drop sets that timed out
+     * @returns {object[]} - The sets dropped (as in pending())
+     */
+    prune() {
+      const cutoff = Date.now() - timeout;
+      const expired = [];
+      for (const [key, set] of sets) {
+        if (set.startedAt <= cutoff) {
+          sets.delete(key);
+          expired.push(describe(set));
+        }
+      }
+      for (const [key, time] of completed) {
+        if (time <= cutoff) {
+          completed.delete(key);
+        }
+      }
+      return expired;
+    }
+  };
+
+  return reassembler;
+}
+
+/**
+ * Parts belong together when type, sender, RequestId and message id match
+ * (several split messages can share a RequestId: progress updates, the
+ * answer to a CLARIFY and the final RESPONSE)
+ */
+function keyOf(parsed) {
+  return `${parsed.type}\n${parsed.from.toLowerCase()}\n${parsed.requestId}\n${parsed.part.id || ''}`;
+}
+
+function describe({ type, from, requestId, total, chunks, startedAt }) {
+  return { type, from, requestId, received: chunks.size, total, startedAt: new Date(startedAt).toISOString() };
+}
+
+module.exports = { createReassembler, DEFAULT_TIMEOUT };
@@ -0,0 +1,433 @@
+/**
+ * Bot-to-Bot Protocol Router
+ * Dispatches incoming protocol messages to per-type handlers and builds
+ * the matching reply from what the handler returns
+ */
+
+const { parse } = require('./parser.js');
+const { buildResponse, buildProgress, buildClarify, buildHandoff, buildCancel, buildDiagnostic } = require('./builder.js');
+const { preprocessMessage, postprocessResponse, replyDepth, isAddressedTo } = require('./middleware.js');
+const { signMessage } = require('./signing.js');
+const { schemaError } = require('./capabilities.js');
+const { createReassembler } = require('./reassembly.js');
+const defaultState = require('./state.js');
+
+const HANDLER_TYPES = ['REQUEST', 'RESPONSE', 'CLARIFY', 'HANDOFF', 'BROADCAST', 'CANCEL'];
+
+/**
+ * Create a router
+ *
+ * Handlers are called as `handler(parsed, ctx)` where ctx holds
+ * { naturalLanguage, metadata } plus whatever was passed to handle().
+ * For REQUEST, HANDOFF and CLARIFY the return value decides the reply:
+ *   - string or { result, data, status, context } → RESPONSE (default status
+ *     done; an answer to a CLARIFY carries no status; data goes in a Data field)
+ *   - number, boolean or array                → RESPONSE with it as JSON in Result
+ *   - { clarify: question }                  → CLARIFY
+ *   - { handoff: { to, task, capability, context } } → HANDOFF with Callback to the requester
+ *     (Priority and Deadline carry over)
+ *   - null / undefined                       → no reply
+ *   - thrown error                           → RESPONSE with Status: failed
+ * RESPONSE, BROADCAST and CANCEL never get a reply; their handler errors are rethrown.
+ * Handlers of a REQUEST or HANDOFF can stream results before they return:
+ * `await ctx.progress(result, { progress, eta, data })` sends a progress
+ * update (Status: partial, numbered by Seq) through `ctx.send`, which the
+ * daemon provides.
+ * RESPONSEs to a HANDOFF, failures included, go to its Callback bot.
+ *
+ * Every handler gets an AbortSignal in `ctx.signal`. A CANCEL from the
+ * requester (or a bot up the handoff chain) aborts the signals of every
+ * REQUEST or HANDOFF handler still working on it, with an error whose code
+ * is 'CANCELLED' as the reason; whatever that handler returns or throws
+ * afterwards is not sent (`cancelled: true` in the outcome). If we handed
+ * the task off, the outcome's reply passes the CANCEL on to the next bot
+ * (sent through `ctx.send` before the error is rethrown if the CANCEL
+ * handler throws).
+ * A CANCEL the state tracker rejects (unknown request, wrong sender) changes
+ * nothing (reason 'rejected'); a REQUEST or HANDOFF for a cancelled request
+ * is not handled (reason 'cancelled').
+ * A retried REQUEST (Attempt > 1) that was already answered gets the cached
+ * reply again without calling the handler (`cached: true` in the outcome).
+ * One that arrives while the handler is still working on the first attempt
+ * gets no reply (reason 'in-progress'); the first attempt's reply answers it.
+ *
+ * With `keys` (see signing.js) incoming messages get `parsed.verification`
+ * ('verified', 'unverified' or 'forged') for handlers to act on; with
+ * `signingKey` every reply is signed.
+ *
+ * With a `policy` (see policy.js) each message is checked before it is
+ * tracked. Denied messages are neither stored nor handled (reason 'denied',
+ * `denial` holds why); a denied REQUEST, HANDOFF or CLARIFY is answered
+ * with a failed RESPONSE giving the reason. So is a message whose Data
+ * payload is malformed (reason 'invalid-payload').
+ *
+ * With `capabilities` (see capabilities.js) a REQUEST or HANDOFF naming one
+ * of our capabilities has its Data checked against the input schema before
+ * the handler runs (the contract is in `ctx.capability`). Violations are
+ * listed in a CLARIFY, or in a failed RESPONSE when depth leaves no room for
+ * one or the capability is unknown (reason 'invalid-input'). Handler data
+ * that breaks the output schema becomes a failed RESPONSE.
+ *
+ * `mode: 'strict'` drops messages that do not fit their declared protocol
+ * version (see parser.js) as 'not-protocol'.
+ *
+ * Unreadable messages come back as 'not-protocol' with the parse `errors`.
+ * With `diagnostics: true`, a malformed REQUEST, HANDOFF or CLARIFY that
+ * still shows who sent it, to us, under which RequestId is answered with a
+ * failed RESPONSE listing the errors (see buildDiagnostic).
+ *
+ * Parts of a split message (see buildChunks) are collected in `reassembler`
+ * (see reassembly.js) and come back as 'incomplete' until the last one
+ * arrives; that one is handled as the whole message.
+ *
+ * @param {object} options - { botName, state, keys, signingKey, policy, capabilities, mode, diagnostics, reassembler }
+ * @returns {object} - { on, off, handle, reassembler }
+ */
+function createRouter({ botName, state = defaultState, keys, signingKey, policy, capabilities, mode, diagnostics = false, reassembler = createReassembler() } = {}) {
+  if (!botName) {
+    throw new Error('createRouter requires botName');
+  }
+
+  const handlers = {};
+  const running = new Map(); // requestId → Set of AbortControllers of the handlers working on it
+
+  function on(type, handler) {
+    if (!HANDLER_TYPES.includes(type)) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${type} must be a function`);
+    }
+    handlers[type] = handler;
+    return router;
+  }
+
+  function off(type) {
+    delete handlers[type];
+    return router;
+  }
+
+  /**
+   * Route one raw message
+   * @param {string} raw - Raw message text
+   * @param {object} extra - Extra properties for the handler context
+   * @returns {Promise<object>} - { handled, reason, parsed, reply, cached }
+   */
+  async function handle(raw, extra = {}) {
+    const pre = await preprocessMessage(raw, { botName, state, keys, mode, reassembler, policy });
+    if (pre.reason === 'not-protocol') {
+      const reply = diagnostics ? await prepareReply(buildDiagnosticReply(pre)) : null;
+      return { handled: false, reason: pre.reason, parsed: null, reply, cached: false, errors: pre.errors };
+    }
+    // Denied messages are neither tracked nor handled; those expecting a reply get a failed RESPONSE
+    if (pre.reason === 'denied') {
+      const reply = pre.metadata.expectsReply ? await prepareReply(buildFailure(pre.denial, pre.metadata)) : null;
+      return { handled: false, reason: 'denied', parsed: pre.parsed, reply, cached: false, denial: pre.denial };
+    }
+    if (!pre.intercepted) {
+      return { handled: false, reason: pre.reason, parsed: pre.parsed || null, reply: null, cached: false };
+    }
+
+    const { parsed, metadata, conversation } = pre;
+
+    // A malformed Data payload cannot be handled; tell the sender what is wrong
+    if (parsed.dataError) {
+      const reply = metadata.expectsReply ? await prepareReply(buildFailure(parsed.dataError, metadata)) : null;
+      return { handled: false, reason: 'invalid-payload', parsed, reply, cached: false };
+    }
+
+    // Data for one of our capabilities must match its input schema
+    let capability = null;
+    if (capabilities && parsed.capability && ['REQUEST', 'HANDOFF'].includes(parsed.type)) {
+      const check = capabilities.checkInput(botName, parsed.capability, parsed.data);
+      if (!check.ok) {
+        const reply = await prepareReply(buildRejection(check, parsed, metadata));
+        return { handled: false, reason: 'invalid-input', parsed, reply, cached: false, violations: check.violations };
+      }
+      capability = check.capability;
+    }
+
+    if (parsed.type === 'CANCEL') {
+      return cancel(parsed, conversation, { ...extra, naturalLanguage: pre.naturalLanguage, metadata });
+    }
+    if (['REQUEST', 'HANDOFF'].includes(parsed.type) && conversation && conversation.status === 'cancelled') {
+      return { handled: false, reason: 'cancelled', parsed, reply: null, cached: false };
+    }
+
+    if (parsed.type === 'REQUEST' && parsed.attempt > 1 && conversation && conversation.reply) {
+      return { handled: true, reason: null, parsed, reply: conversation.reply, cached: true };
+    }
+    if (parsed.type === 'REQUEST' && parsed.attempt > 1 && running.has(parsed.requestId)) {
+      return { handled: false, reason: 'in-progress', parsed, reply: null, cached: false };
+    }
+
+    const handler = handlers[parsed.type];
+    if (!handler) {
+      return { handled: false, reason: 'no-handler', parsed, reply: null, cached: false };
+    }
+
+    const controller = new AbortController();
+    const ctx = { ...extra, naturalLanguage: pre.naturalLanguage, metadata, capability, signal: controller.signal };
+    if (['REQUEST', 'HANDOFF'].includes(parsed.type)) {
+      ctx.progress = progressSender(metadata, extra.send, controller.signal);
+      if (!running.has(parsed.requestId)) {
+        running.set(parsed.requestId, new Set());
+      }
+      running.get(parsed.requestId).add(controller);
+    }
+    let reply;
+
+    try {
+      const result = await handler(parsed, ctx);
+      if (capability) {
+        checkOutput(result, parsed);
+      }
+      reply = metadata.expectsReply ? buildReply(result, parsed, metadata) : null;
+    } catch (err) {
+      if (!metadata.expectsReply) {
+        throw err;
+      }
+      reply = buildFailure((err && err.message) || String(err), metadata);
+    } finally {
+      const controllers = running.get(parsed.requestId);
+      if (controllers && controllers.delete(controller) && controllers.size === 0) {
+        running.delete(parsed.requestId);
+      }
+    }
+
+    // The requester called it off; nobody is waiting for the answer
+    if (controller.signal.aborted) {
+      return { handled: true, reason: null, parsed, reply: null, cached: false, cancelled: true };
+    }
+
+    return { handled: true, reason: null, parsed, reply: await prepareReply(reply), cached: false };
+  }
+
+  /**
+   * Stop the handlers working on a cancelled request, and pass the CANCEL on
+   * to the bot we handed the task to
+   */
+  async function cancel(parsed, conversation, ctx) {
+    if (conversation && !conversation.transition.accepted) {
+      return { handled: false, reason: 'rejected', parsed, reply: null, cached: false, rejection: conversation.transition.reason };
+    }
+
+    for (const controller of running.get(parsed.requestId) || []) {
+      controller.abort(cancelError(parsed));
+    }
+
+    const next = conversation && nextHop(conversation);
+    const reply = await prepareReply(next
+      ? buildCancel({ to: next, from: botName, requestId: parsed.requestId, reason: parsed.reason })
+      : null);
+
+    if (handlers.CANCEL) {
+      try {
+        await handlers.CANCEL(parsed, { ...ctx, signal: new AbortController().signal });
+      } catch (err) {
+        // The bot down the chain must stop whatever our handler does
+        if (reply && ctx.send) {
+          await ctx.send(reply);
+        }
+        throw err;
+      }
+    }
+
+    return { handled: true, reason: null, parsed, reply, cached: false };
+  }
+
+  /**
+   * Tell the sender of a malformed message what is wrong, when we can
+   */
+  function buildDiagnosticReply({ errors, partial }) {
+    if (!partial || !partial.from || !partial.requestId || !['REQUEST', 'HANDOFF', 'CLARIFY'].includes(partial.type)) {
+      return null;
+    }
+    if (partial.from.toLowerCase() === botName.toLowerCase() || !isAddressedTo(partial, botName)) {
+      return null;
+    }
+    return buildDiagnostic({
+      to: partial.from,
+      from: botName,
+      requestId: partial.requestId,
+      problems: errors,
+      depth: replyDepth(partial.depth)
+    });
+  }
+
+  /**
+   * Sign and track an outgoing reply
+   */
+  async function prepareReply(reply) {
+    if (!reply) {
+      return null;
+    }
+    const signed = signingKey ? signMessage(reply, signingKey) : reply;
+    await state.track(parse(signed), { observer: botName });
+    return signed;
+  }
+
+  /**
+   * The bot we last handed a conversation to, if we handed it off
+   */
+  function nextHop(conversation) {
+    const hops = (conversation.handoffs || []).filter(hop => hop.from.toLowerCase() === botName.toLowerCase());
+    return hops.length > 0 ? hops[hops.length - 1].to : null;
+  }
+
+  /**
+   * ctx.progress for one request: numbers, signs, tracks and sends updates
+   * Once the request is cancelled it throws the cancellation instead.
+   */
+  function progressSender(metadata, send, signal) {
+    let seq = 0;
+    return async (result, { progress, eta, data } = {}) => {
+      if (signal.aborted) {
+        throw signal.reason;
+      }
+      if (!send) {
+        throw new Error('Progress updates need ctx.send (run the router in a daemon or pass send to handle())');
+      }
+      seq += 1;
+      const update = await prepareReply(buildProgress({
+        to: metadata.replyTo,
+        from: botName,
+        requestId: metadata.requestId,
+        seq,
+        result: stringify(result),
+        progress,
+        eta,
+        data,
+        depth: replyDepth(metadata.depth)
+      }));
+      await send(update);
+      return update;
+    };
+  }
+
+  /**
+   * Build the reply for a handler result
+   */
+  function buildReply(result, parsed, metadata) {
+    if (result === null || result === undefined) {
+      return null;
+    }
+
+    if (typeof result === 'string') {
+      return postprocessResponse(result, metadata);
+    }
+
+    // Numbers, booleans and arrays are results too; they travel as JSON text
+    if (typeof result !== 'object' || Array.isArray(result)) {
+      return buildReply({ result }, parsed, metadata);
+    }
+
+    if (result.handoff) {
+      const { to, task, capability, context, priority, deadline, data } = result.handoff;
+      return buildHandoff({
+        to,
+        from: botName,
+        requestId: parsed.requestId,
+        task: task || parsed.task,
+        capability,
+        context: context || parsed.context,
+        depth: replyDepth(metadata.depth),
+        callback: parsed.callback || `@${parsed.from}`,
+        priority: priority || parsed.priority,
+        data: data !== undefined ? data : parsed.data,
+        // Pass on an absolute deadline so every hop agrees when the task is dead
+        deadline: deadline || metadata.deadline
+      });
+    }
+
+    if (result.clarify) {
+      return postprocessResponse({ question: result.clarify }, metadata);
+    }
+
+    if (metadata.type === 'CLARIFY') {
+      return postprocessResponse({ content: stringify(result.result), data: result.data }, metadata);
+    }
+
+    return buildResponse({
+      to: metadata.replyTo,
+      from: botName,
+      requestId: metadata.requestId,
+      status: result.status || 'done',
+      result: stringify(result.result),
+      data: result.data,
+      context: result.context,
+      depth: replyDepth(metadata.depth)
+    });
+  }
+
+  /**
+   * Throw when a handler's RESPONSE data breaks our output schema
+   */
+  function checkOutput(result, parsed) {
+    if (result === null || result === undefined || result.handoff || result.clarify) {
+      return;
+    }
+    const check = capabilities.checkOutput(botName, parsed.capability, result.data);
+    if (!check.ok) {
+      throw schemaError(`Output breaks the ${parsed.capability} contract`, check.violations);
+    }
+  }
+
+  /**
+   * Answer a REQUEST whose data breaks our input schema
+   * A CLARIFY lets the sender fix the data, unless the capability is unknown
+   * or depth allows no further round trip.
+   */
+  function buildRejection(check, parsed, metadata) {
+    const reason = schemaError(`Data does not match capability "${parsed.capability}"`, check.violations).message;
+    const depth = replyDepth(metadata.depth);
+    if (!check.capability || depth.current >= depth.max) {
+      return buildFailure(reason, metadata);
+    }
+    return buildClarify({
+      to: parsed.from,
+      from: botName,
+      requestId: parsed.requestId,
+      question: `${reason}\nPlease resend with corrected Data.`,
+      depth
+    });
+  }
+
+  /**
+   * Build a failed RESPONSE for a handler error or a policy denial
+   */
+  function buildFailure(reason, metadata) {
+    return buildResponse({
+      to: metadata.replyTo,
+      from: botName,
+      requestId: metadata.requestId,
+      status: 'failed',
+      result: reason,
+      depth: replyDepth(metadata.depth)
+    });
+  }
+
+  const router = { botName, on, off, handle, reassembler };
+  return router;
+}
+
+/**
+ * Abort reason for a cancelled handler
+ */
+function cancelError(parsed) {
+  const err = new Error(`Request ${parsed.requestId} was cancelled by ${parsed.from}${parsed.reason ? `: ${parsed.reason}` : ''}`);
+  err.code = 'CANCELLED';
+  return err;
+}
+
+/**
+ * Results must travel as text
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+module.exports = { createRouter, HANDLER_TYPES };
@@ -0,0 +1,137 @@
+/**
+ * Bot-to-Bot Protocol Schema Validation
+ * A small JSON Schema subset for Data payloads, with no dependencies
+ *
+ * Supported keywords: type (string, number, integer, boolean, object, array,
+ * null, or a list of them), enum, const, required, properties,
+ * additionalProperties (boolean or schema), items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check (undefined counts as missing)
+ * @param {object} schema - Schema
+ * @param {string} path - Name of the value in messages
+ * @returns {string[]} - Violations such as "data.city: expected string, got number"
+ */
+function validate(value, schema, path = 'data') {
+  const violations = [];
+  check(value, schema || {}, path, violations);
+  return violations;
+}
+
+function check(value, schema, path, violations) {
+  if (value === undefined) {
+    violations.push(`${path}: missing`);
+    return;
+  }
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of allowed) {
+      if (!TYPES.includes(type)) {
+        throw new Error(`Unsupported schema type at ${path}: ${type}`);
+      }
+    }
+    if (!allowed.some(type => isType(value, type))) {
+      violations.push(`${path}: expected ${allowed.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => same(option, value))) {
+    violations.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && !same(schema.const, value)) {
+    violations.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    checkString(value, schema, path, violations);
+  } else if (typeof value === 'number') {
+    checkNumber(value, schema, path, violations);
+  } else if (Array.isArray(value)) {
+    checkArray(value, schema, path, violations);
+  } else if (value !== null && typeof value === 'object') {
+    checkObject(value, schema, path, violations);
+  }
+}
+
+function checkString(value, schema, path, violations) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    violations.push(`${path}: shorter than ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    violations.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    violations.push(`${path}: does not match ${schema.pattern}`);
+  }
+}
+
+function checkNumber(value, schema, path, violations) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    violations.push(`${path}: less than ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    violations.push(`${path}: greater than ${schema.maximum}`);
+  }
+}
+
+function checkArray(value, schema, path, violations) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    violations.push(`${path}: fewer than ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    violations.push(`${path}: more than ${schema.maxItems} items`);
+  }
+  if (schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, violations));
+  }
+}
+
+function checkObject(value, schema, path, violations) {
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      violations.push(`${path}.${key}: missing`);
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (properties[key]) {
+      check(item, properties[key], `${path}.${key}`, violations);
+    } else if (schema.additionalProperties === false) {
+      violations.push(`${path}.${key}: not allowed`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      check(item, schema.additionalProperties, `${path}.${key}`, violations);
+    }
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { validate };
@@ -0,0 +1,226 @@
+/**
+ * Bot-to-Bot Protocol Serializer
+ * Writes any parsed message back to text: serialize() is the inverse of
+ * parse(), unknown `meta` fields and multi-line values included
+ *
+ * Escaping keeps values from breaking the message structure:
+ *   - a continuation line that looks like a field (`Key: ...`) or starts
+ *     with a backslash gets a leading backslash, which the parser removes;
+ *   - after two backticks, a backtick or backslash is preceded by a
+ *     backslash, so a value never contains a closing ``` fence.
+ * Values without such lines or backtick runs are written unchanged.
+ * Escapes came with protocol 0.2: v0.1 values are written as they are, and
+ * one with a field-like line or a ``` fence cannot be written.
+ */
+
+const { encodePayload } = require('./payload.js');
+const { formatDuration } = require('./duration.js');
+const { VERSIONS, CURRENT_VERSION, DEFAULT_VERSION, escapesValues } = require('./versions.js');
+
+const KNOWN_FIELDS = VERSIONS[CURRENT_VERSION].fields;
+
+// Field order of serialized messages; meta fields follow, Signature comes last
+const FIELD_ORDER = [
+  ['protocol', 'Protocol'],
+  ['from', 'From'],
+  ['requestId', 'RequestId'],
+  ['part', 'Part'],
+  ['chunk', 'Chunk'],
+  ['task', 'Task'],
+  ['capability', 'Capability'],
+  ['status', 'Status'],
+  ['seq', 'Seq'],
+  ['progress', 'Progress'],
+  ['eta', 'ETA'],
+  ['result', 'Result'],
+  ['question', 'Question'],
+  ['message', 'Message'],
+  ['reason', 'Reason'],
+  ['data', 'Data'],
+  ['context', 'Context'],
+  ['depth', 'Depth'],
+  ['callback', 'Callback'],
+  ['priority', 'Priority'],
+  ['timeout', 'Timeout'],
+  ['deadline', 'Deadline'],
+  ['attempt', 'Attempt']
+];
+
+/**
+ * Serialize a message object (as returned by parse) to protocol text
+ *
+ * Null/undefined fields are left out, as is `Protocol` for v0.1. Values
+ * are written as parse() returns them (trimmed), so parse(serialize(m))
+ * gives back m apart from `raw`, `position` and `verification`.
+ *
+ * @param {object} message - { type, to, ...fields, meta }
+ * @returns {string} - Protocol message in a ``` block
+ * @throws {Error} - For a message without type/to, an invalid Data payload,
+ *   meta keys that cannot be written as a field or a v0.1 value that
+ *   needs escaping
+ */
+function serialize(message) {
+  if (!message || !message.type || !message.to) {
+    throw new Error('serialize requires a message with type and to');
+  }
+  if (message.dataError) {
+    throw new Error(`Cannot serialize a message with an invalid Data payload: ${message.dataError}`);
+  }
+
+  const version = message.protocol || DEFAULT_VERSION;
+  const field = escapesValues(version) ? formatField : (name, value) => formatRawField(name, value, version);
+  let text = `\`\`\`\n[${message.type} → @${message.to}]\n`;
+
+  for (const [property, name] of FIELD_ORDER) {
+    const value = fieldValue(message, property);
+    if (value !== null) {
+      text += field(name, value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(message.meta || {})) {
+    text += field(metaName(key), String(value));
+  }
+
+  if (message.signature) {
+    text += field('Signature', message.signature);
+  }
+
+  return `${text}\`\`\``;
+}
+
+/**
+ * Text of one field, or null to leave it out
+ */
+function fieldValue(message, property) {
+  const value = message[property];
+  // Data may be null itself; only a missing payload is left out
+  if (value === undefined || (value === null && property !== 'data')) {
+    return null;
+  }
+
+  switch (property) {
+    case 'protocol':
+      return value === DEFAULT_VERSION ? null : value;
+    case 'data':
+      return encodePayload(value);
+    case 'depth':
+      return `${value.current}/${value.max}`;
+    case 'part':
+      return value.id ? `${value.index}/${value.total} ${value.id}` : `${value.index}/${value.total}`;
+    case 'chunk':
+      return encodeChunk(value);
+    case 'timeout':
+    case 'eta':
+      return formatDuration(value);
+    case 'progress':
+      return `${value}%`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * "Key: value" with the value escaped, ending in a newline
+ * @param {string} name - Field name as written ("Task")
+ * @param {*} value - Field value (converted to a string)
+ * @returns {string}
+ */
+function formatField(name, value) {
+  return `${name}: ${escapeValue(String(value))}\n`;
+}
+
+/**
+ * "Key: value" for a version without escapes: the value as it is, if that
+ * cannot break the message
+ */
+function formatRawField(name, value, version) {
+  const text = String(value);
+  if (/\n[A-Za-z]+:|```/.test(text)) {
+    throw new Error(`${name} needs escaping, which is not part of protocol ${version}`);
+  }
+  return `${name}: ${text}\n`;
+}
+
+/**
+ * Meta keys come back lowercased from parse(); capitalize them again
+ */
+function metaName(key) {
+  if (!/^[A-Za-z]+$/.test(key) || KNOWN_FIELDS.includes(key.toLowerCase())) {
+    throw new Error(`Cannot serialize meta field "${key}"`);
+  }
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Escape a field value (see the module comment)
+ * @param {string} value - Raw value
+ * @returns {string} - Value safe to write after "Key: "
+ */
+function escapeValue(value) {
+  let escaped = '';
+  let ticks = 0; // Backticks at the end of the output so far
+
+  for (const char of value) {
+    if (ticks >= 2 && (char === '`' || char === '\\')) {
+      escaped += '\\';
+      ticks = 0;
+    }
+    escaped += char;
+    ticks = char === '`' ? ticks + 1 : 0;
+  }
+
+  return escaped
+    .split('\n')
+    .map((line, i) => (i > 0 && /^([A-Za-z]+:|\\)/.test(line) ? `\\${line}` : line))
+    .join('\n');
+}
+
+/**
+ * Undo the line escape of one continuation line
+ */
+function unescapeLine(line) {
+  return line.startsWith('\\') ? line.slice(1) : line;
+}
+
+/**
+ * Undo the backtick escapes of a value whose lines are already unescaped
+ */
+function unescapeValue(value) {
+  if (!value.includes('``\\')) {
+    return value;
+  }
+
+  let unescaped = '';
+  let ticks = 0;
+  for (let i = 0; i < value.length; i++) {
+    let char = value[i];
+    if (ticks >= 2 && char === '\\' && i + 1 < value.length) {
+      char = value[++i];
+      ticks = 0;
+    }
+    unescaped += char;
+    ticks = char === '`' ? ticks + 1 : 0;
+  }
+  return unescaped;
+}
+
+/**
+ * Encode a slice of a message for a Chunk field
+ * Every line gets a leading "|" so no whitespace is lost to trimming and
+ * no line looks like a field.
+ * @param {string} text - Slice of the message text
+ * @returns {string} - Chunk value (escape it with formatField)
+ */
+function encodeChunk(text) {
+  return text.split('\n').map(line => `|${line}`).join('\n');
+}
+
+/**
+ * Decode a Chunk value back into the slice of message text
+ */
+function decodeChunk(value) {
+  return value.split('\n').map(line => (line.startsWith('|') ? line.slice(1) : line)).join('\n');
+}
+
+module.exports = { serialize, formatField, escapeValue, unescapeValue, unescapeLine, encodeChunk, decodeChunk };
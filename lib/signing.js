@@ -0,0 +1,192 @@
+/**
+ * Bot-to-Bot Protocol Message Signing
+ * Signs messages with a per-bot HMAC secret or Ed25519 key and checks
+ * the Signature header against a registry of known bots
+ */
+
+const crypto = require('crypto');
+
+const SCHEMES = {
+  hmac: 'hmac-sha256',
+  ed25519: 'ed25519'
+};
+
+/**
+ * Create a key registry mapping bot names to keys
+ *
+ * A key is `{ secret }` for HMAC or `{ publicKey, privateKey }` for Ed25519
+ * (PEM strings or KeyObjects; only publicKey is needed to verify).
+ * Bot names are matched case-insensitively.
+ *
+ * @param {object} entries - { BotName: key }
+ * @returns {object} - { set, get, delete, has, names }
+ */
+function createKeyRegistry(entries = {}) {
+  const keys = new Map();
+
+  const registry = {
+    set(botName, key) {
+      keys.set(botName.toLowerCase(), normalizeKey(botName, key));
+      return registry;
+    },
+    get(botName) {
+      return (botName && keys.get(botName.toLowerCase())) || null;
+    },
+    delete(botName) {
+      keys.delete(botName.toLowerCase());
+      return registry;
+    },
+    has(botName) {
+      return registry.get(botName) !== null;
+    },
+    names() {
+      return [...keys.keys()];
+    }
+  };
+
+  for (const [botName, key] of Object.entries(entries)) {
+    registry.set(botName, key);
+  }
+  return registry;
+}
+
+/**
+ * Accept a registry or a plain { BotName: key } object
+ */
+function toRegistry(keys) {
+  if (!keys) {
+    return null;
+  }
+  return typeof keys.get === 'function' && typeof keys.set === 'function' ? keys : createKeyRegistry(keys);
+}
+
+/**
+ * Validate a key and work out its scheme
+ */
+function normalizeKey(botName, key) {
+  if (key && key.secret) {
+    return { scheme: SCHEMES.hmac, secret: key.secret };
+  }
+  if (key && (key.publicKey || key.privateKey)) {
+    return { scheme: SCHEMES.ed25519, publicKey: key.publicKey || null, privateKey: key.privateKey || null };
+  }
+  throw new Error(`Key for ${botName} needs a secret or an Ed25519 publicKey/privateKey`);
+}
+
+/**
+ * Generate an Ed25519 keypair as PEM strings
+ * @returns {object} - { publicKey, privateKey }
+ */
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/**
+ * Canonical form of a code block's content for signing
+ * The content exactly as written, without the final Signature line that
+ * signMessage() appends. Every other line counts, indentation included.
+ */
+function canonicalize(content) {
+  const lines = content.trim().split('\n');
+  if (/^Signature:/.test(lines[lines.length - 1])) {
+    lines.pop();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Signature header value for some block content
+ * @param {string} content - Code block content
+ * @param {object} key - { secret } or { privateKey }
+ * @returns {string} - "<scheme>:<base64>"
+ */
+function createSignature(content, key) {
+  const { scheme, secret, privateKey } = normalizeKey('signer', key);
+  const data = Buffer.from(canonicalize(content), 'utf8');
+
+  if (scheme === SCHEMES.hmac) {
+    return `${scheme}:${crypto.createHmac('sha256', secret).update(data).digest('base64')}`;
+  }
+  if (!privateKey) {
+    throw new Error('Signing with Ed25519 requires a privateKey');
+  }
+  return `${scheme}:${crypto.sign(null, data, privateKey).toString('base64')}`;
+}
+
+/**
+ * Check a Signature header value against block content
+ * @returns {boolean}
+ */
+function checkSignature(content, signature, key) {
+  const match = signature && signature.match(/^([a-z0-9-]+):([A-Za-z0-9+/=]+)$/);
+  if (!match || match[1] !== key.scheme) {
+    return false;
+  }
+
+  const data = Buffer.from(canonicalize(content), 'utf8');
+  const given = Buffer.from(match[2], 'base64');
+
+  if (key.scheme === SCHEMES.hmac) {
+    const expected = crypto.createHmac('sha256', key.secret).update(data).digest();
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+  if (!key.publicKey) {
+    return false;
+  }
+  try {
+    return crypto.verify(null, data, key.publicKey, given);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Classify a message's sender authentication
+ *
+ * - verified:   the sender has a registered key and the signature matches
+ * - unverified: the sender has no registered key (signed or not)
+ * - forged:     the sender has a registered key but the signature is
+ *               missing or does not match
+ *
+ * @param {string} content - Code block content
+ * @param {string} from - Claimed sender
+ * @param {string|null} signature - Signature header value
+ * @param {object} keys - Key registry or { BotName: key }
+ * @returns {string} - 'verified' | 'unverified' | 'forged'
+ */
+function verifySignature(content, from, signature, keys) {
+  const key = toRegistry(keys).get(from);
+  if (!key) {
+    return 'unverified';
+  }
+  return checkSignature(content, signature, key) ? 'verified' : 'forged';
+}
+
+/**
+ * Add a Signature line to a built message
+ * @param {string} message - Message from one of the builders
+ * @param {object} key - { secret } or { privateKey }
+ * @returns {string} - Signed message
+ */
+function signMessage(message, key) {
+  const match = message.match(/^```\n([\s\S]*?)```$/);
+  if (!match) {
+    throw new Error('signMessage expects a message from the builders');
+  }
+  const content = match[1].replace(/^Signature:.*\n(?![\s\S])/m, '');
+  return `\`\`\`\n${content}Signature: ${createSignature(content, key)}\n\`\`\``;
+}
+
+module.exports = {
+  createKeyRegistry,
+  generateKeyPair,
+  signMessage,
+  verifySignature,
+  createSignature,
+  canonicalize,
+  toRegistry,
+  SCHEMES
+};
@@ -3,8 +3,12 @@
  * Tracks open conversations and timeouts
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createJsonFileStore } = require('./storage.js');
+const { parse } = require('./parser.js');
+const { buildRequest } = require('./builder.js');
 
 const STATE_FILE = path.join(
   process.env.HOME || process.env.USERPROFILE,
@@ -20,218 +24,785 @@ const DEFAULT_TIMEOUTS = {
   BROADCAST: 5 * 60 * 1000  // 5 minutes
 };
 
-// Simple lock to prevent concurrent read/write races
-let stateLock = Promise.resolve();
+// Timeout multipliers by Priority: high priority requests expire sooner
+const PRIORITY_SCALE = {
+  low: 2,
+  normal: 1,
+  high: 0.5
+};
+
+const DEFAULT_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3, // Total sends, including the first
+  backoffMs: 30 * 1000 // Wait after a timeout, doubled on each attempt
+};
+
+// Duplicate detection: fingerprints kept per conversation (persisted) and per
+// tracker across all conversations (in memory)
+const SEEN_PER_CONVERSATION = 50;
+const DEFAULT_DEDUP_WINDOW = 1000;
+
+// Messages a bot sends back to the requester; the last one is cached for retries
+const REPLY_TYPES = ['RESPONSE', 'CLARIFY', 'HANDOFF'];
+
+const STATUSES = ['open', 'clarifying', 'handed_off', 'done', 'partial', 'failed', 'timeout', 'cancelled'];
+const TERMINAL_STATUSES = ['done', 'failed', 'timeout', 'cancelled'];
+const ACTIVE_STATUSES = ['open', 'clarifying', 'handed_off'];
+
+// Conversation state machine: status → event (message type or TIMEOUT) → next status.
+// `new` stands for a conversation that does not exist yet. Values are either a
+// status or a function of (message, conv) returning one. Missing entries are rejected.
+const resultStatus = message => message.status || 'done';
+const TRANSITIONS = {
+  new: {
+    REQUEST: 'open',
+    HANDOFF: 'handed_off',
+    BROADCAST: 'open'
+  },
+  open: {
+    REQUEST: 'open',
+    BROADCAST: 'open',
+    CLARIFY: 'clarifying',
+    HANDOFF: 'handed_off',
+    RESPONSE: resultStatus,
+    CANCEL: 'cancelled',
+    TIMEOUT: 'timeout'
+  },
+  clarifying: {
+    CLARIFY: 'clarifying',
+    HANDOFF: 'handed_off',
+    // A RESPONSE without status answers the question and resumes the request
+    RESPONSE: (message, conv) => message.status || conv.resumeStatus || 'open',
+    CANCEL: 'cancelled',
+    TIMEOUT: 'timeout'
+  },
+  handed_off: {
+    CLARIFY: 'clarifying',
+    HANDOFF: 'handed_off',
+    RESPONSE: resultStatus,
+    CANCEL: 'cancelled',
+    TIMEOUT: 'timeout'
+  },
+  // A bot sending progress can still ask a question or pass the work on
+  partial: {
+    CLARIFY: 'clarifying',
+    HANDOFF: 'handed_off',
+    RESPONSE: resultStatus,
+    CANCEL: 'cancelled',
+    TIMEOUT: 'timeout'
+  },
+  done: {},
+  failed: {},
+  timeout: {},
+  // A CANCEL passed down a handoff chain reaches bots sharing the store again
+  cancelled: {
+    CANCEL: 'cancelled'
+  }
+};
+
+// Lifecycle event emitted when a conversation enters a status
+const STATUS_EVENTS = {
+  open: 'opened',
+  clarifying: 'clarifying',
+  handed_off: 'handed_off',
+  done: 'responded',
+  partial: 'partial',
+  failed: 'failed',
+  timeout: 'timeout',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Work out a state machine transition without applying it
+ * @param {string|null} status - Current status (null for a new conversation)
+ * @param {string} event - Message type, or 'TIMEOUT'
+ * @param {object} message - Parsed message (for RESPONSE status)
+ * @param {object} conv - Current conversation, if any
+ * @returns {object} - { event, from, to, accepted, flagged, reason }
+ */
+function transition(status, event, message = {}, conv = {}) {
+  const from = status || null;
+  const rule = (TRANSITIONS[from || 'new'] || {})[event];
+
+  if (!rule) {
+    let reason;
+    if (from === null) {
+      reason = `${event} for unknown conversation`;
+    } else if (TERMINAL_STATUSES.includes(from)) {
+      reason = `${event} after conversation ended (${from})`;
+    } else {
+      reason = `${event} not allowed while ${from}`;
+    }
+    return { event, from, to: from, accepted: false, flagged: false, reason };
+  }
+
+  // Only the requester, or a bot that handed the task on, may call it off
+  if (event === 'CANCEL' && !canCancel(message.from, conv)) {
+    const reason = `CANCEL from ${message.from}, who did not send this request`;
+    return { event, from, to: from, accepted: false, flagged: false, reason };
+  }
+
+  const to = typeof rule === 'function' ? rule(message, conv) : rule;
+  const result = { event, from, to, accepted: true, flagged: false, reason: null };
+
+  // Accepted but suspicious: a REQUEST repeated for an existing conversation
+  if (from !== null && event === 'REQUEST') {
+    result.flagged = true;
+    result.reason = message.attempt > 1
+      ? `REQUEST retry (attempt ${message.attempt})`
+      : 'REQUEST repeated for an existing conversation';
+  }
+
+  return result;
+}
 
 /**
- * Acquire lock for state operations
+ * Key of a message seen by an observer, for duplicate detection
  */
-function withLock(fn) {
-  const wrappedFn = async () => {
-    try {
-      return await fn();
-    } finally {
-      // Lock released after fn completes
-    }
-  };
-  
-  stateLock = stateLock.then(wrappedFn, wrappedFn);
-  return stateLock;
+function seenKeyOf(message, observer) {
+  return `${observer || ''}:${fingerprint(message)}`;
 }
 
 /**
- * Load state from disk
+ * Fingerprint a parsed message: requestId + type + from + depth + content hash
+ * Content covers every field that carries meaning (including Attempt, so a
+ * deliberate retry is not a duplicate), but not the text around the block.
  */
-async function loadState() {
-  try {
-    const data = await fs.readFile(STATE_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return {}; // File doesn't exist yet
-    }
-    throw err;
-  }
+function fingerprint(message) {
+  const content = JSON.stringify([
+    message.task, message.result, message.context, message.status,
+    message.question, message.message, message.callback, message.priority,
+    message.timeout, message.deadline, message.attempt, message.data, message.meta || {},
+    // Only progress updates carry these; other fingerprints stay as they were
+    ...(message.seq ? [message.seq, message.progress, message.eta] : [])
+  ]);
+  const depth = message.depth ? `${message.depth.current}/${message.depth.max}` : '';
+  return sha256([message.requestId, message.type, message.from, depth, sha256(content)].join('|'));
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
 }
 
 /**
- * Save state to disk
+ * Bot name from a Callback field ("@Lotbot" → "Lotbot")
  */
-async function saveState(state) {
-  const dir = path.dirname(STATE_FILE);
-  await fs.mkdir(dir, { recursive: true });
-  await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+function callbackBot(callback) {
+  if (!callback) {
+    return null;
+  }
+  return String(callback).trim().replace(/^@/, '') || null;
 }
 
 /**
- * Track a protocol message (add or update conversation)
+ * Create a state tracker on top of a storage adapter (see storage.js)
+ *
+ * The tracker is an EventEmitter. Each accepted status change emits a
+ * lifecycle event with the conversation record ({ requestId, ...conv }):
+ * `opened` (new conversation), `clarifying`, `handed_off`, `responded`
+ * (done), `partial`, `failed`, `timeout`, `cancelled`, and `cleaned` for each record
+ * removed by cleanup(). High priority conversations that time out are
+ * also `escalated`. Only changes made through this tracker are seen.
+ *
+ * Timeouts default to DEFAULT_TIMEOUTS by message type, scaled by
+ * PRIORITY_SCALE; both can be overridden per tracker. A message with a
+ * Timeout or Deadline header sets the conversation's `deadline` instead.
+ *
+ * With `retry` ({ maxAttempts, backoffMs }) and `botName`, a REQUEST sent by
+ * botName that times out while still open is resent instead: same RequestId,
+ * an `Attempt` header, and a `retry` event with the message, which is also
+ * passed to `send(text, conv)` when given. Once attempts run out, or an
+ * absolute Deadline has passed, it times out as usual.
+ *
+ * Tracking the same message twice (same fingerprint, same observer) is
+ * reported as `duplicate: true` and changes nothing. `dedupWindow` bounds the
+ * in-memory window of recently stored fingerprints.
+ *
+ * Retries are signed with `signingKey` when given (see signing.js).
+ *
+ * @param {object} options - { store, timeouts, priorityScale, botName, retry, send, signingKey, dedupWindow }
+ * @returns {EventEmitter} - { track, seen, get, list, handedOff, timeout, cleanup, checkTimeouts,
+ *   timeoutFor, configure, startTimeoutChecks, stopTimeoutChecks, store }
  */
-async function track(parsedMessage) {
-  return withLock(async () => {
-    const state = await loadState();
-    const { requestId, type, from, to } = parsedMessage;
+function createTracker({ store, timeouts, priorityScale, botName, retry, send, signingKey, dedupWindow = DEFAULT_DEDUP_WINDOW } = {}) {
+  if (!store) {
+    throw new Error('createTracker requires a store');
+  }
+  if (retry && !botName) {
+    throw new Error('createTracker retry requires botName');
+  }
+
+  const retryPolicy = retry ? { ...DEFAULT_RETRY, ...retry } : null;
+
+  const tracker = new EventEmitter();
+  const recent = new Map(); // Seen key → requestId, oldest first
+  const config = { timeouts: { ...DEFAULT_TIMEOUTS }, priorityScale: { ...PRIORITY_SCALE } };
+  let timer = null;
+
+  /**
+   * Override timeouts (ms by message type) and/or priority multipliers
+   */
+  function configure(options = {}) {
+    Object.assign(config.timeouts, options.timeouts);
+    Object.assign(config.priorityScale, options.priorityScale);
+    return tracker;
+  }
+
+  configure({ timeouts, priorityScale });
+
+  /**
+   * Timeout in ms for a message type at a priority
+   */
+  function timeoutFor(type, priority) {
+    const base = config.timeouts[type] || config.timeouts.REQUEST;
+    const scale = config.priorityScale[priority || 'normal'];
+    return Math.round(base * (typeof scale === 'number' ? scale : 1));
+  }
+
+  /**
+   * Track a protocol message (add or update conversation)
+   *
+   * Status changes follow the state machine in TRANSITIONS. The returned
+   * record carries a `transition` describing what happened; rejected and
+   * flagged transitions are also recorded in `history`. A rejected message
+   * for an unknown conversation is not stored.
+   *
+   * Conversations also record the handoff chain: `requester` (who asked
+   * first), `owner` (who holds the task now), `callback` (who gets the final
+   * RESPONSE) and one `handoffs` entry per hop.
+   *
+   * `observer` names the bot doing the tracking. Sender and receiver sharing
+   * a store each see a message once; the same bot seeing it again (edits,
+   * reconnects, re-scans) gets the stored record back with `duplicate: true`.
+   *
+   * @param {object} parsedMessage - Parsed protocol message
+   * @param {object} options - { observer }
+   */
+  async function track(parsedMessage, { observer } = {}) {
+    const seenKey = seenKeyOf(parsedMessage, observer);
+    let stored = false;
+    const record = await store.transaction(async (tx) => {
+      const { requestId, type, from, to } = parsedMessage;
+      const now = new Date().toISOString();
+      let conv = await tx.get(requestId);
+
+      if (recent.has(seenKey) || (conv && (conv.seen || []).includes(seenKey))) {
+        const status = conv ? conv.status : null;
+        const change = {
+          event: type, from: status, to: status, accepted: false, flagged: false, reason: 'duplicate message'
+        };
+        return { ...(conv || { type, from, to, status, history: [] }), requestId, duplicate: true, transition: change };
+      }
+
+      const change = transition(conv ? conv.status : null, type, parsedMessage, conv || {});
 
-    const now = new Date().toISOString();
+      if (!conv) {
+        if (!change.accepted) {
+          return { requestId, type, from, to, status: null, history: [], duplicate: false, transition: change };
+        }
 
-    if (!state[requestId]) {
-      // New conversation
-      state[requestId] = {
+        // New conversation
+        const callback = callbackBot(parsedMessage.callback);
+        conv = {
+          type,
+          to,
+          from,
+          task: parsedMessage.task || parsedMessage.question || parsedMessage.message,
+          status: change.to,
+          // A HANDOFF seen first still knows who asked originally via Callback
+          requester: (type === 'HANDOFF' && callback) || from,
+          owner: to,
+          callback: callback || from,
+          handoffs: [],
+          depth: parsedMessage.depth ? parsedMessage.depth.current : 1,
+          priority: parsedMessage.priority || null,
+          attempt: parsedMessage.attempt || 1,
+          createdAt: now,
+          updatedAt: now,
+          lastType: type, // Track latest message type for timeout calculation
+          history: []
+        };
+        if (retryPolicy && type === 'REQUEST' && from === botName) {
+          conv.raw = parsedMessage.raw; // Original REQUEST, resent on retry
+        }
+      } else if (change.accepted) {
+        // Update existing conversation
+        if (change.to === 'clarifying' && change.from !== 'clarifying') {
+          conv.resumeStatus = change.from; // Where an answer takes the conversation back
+        }
+        conv.status = change.to;
+        conv.updatedAt = now;
+        conv.lastType = type; // Update to latest message type
+        if (type === 'REQUEST' && parsedMessage.attempt) {
+          conv.attempt = parsedMessage.attempt;
+        }
+        // Remember our latest reply so a retried REQUEST can get it again
+        if (REPLY_TYPES.includes(type) && from !== conv.requester) {
+          conv.reply = parsedMessage.raw;
+        }
+      }
+
+      if (change.accepted && type === 'HANDOFF') {
+        recordHandoff(conv, parsedMessage, now);
+      }
+      if (change.accepted) {
+        applyTiming(conv, parsedMessage, now);
+      }
+      if (change.accepted && isProgress(parsedMessage)) {
+        recordProgress(conv, parsedMessage, now);
+      }
+
+      // Add to history
+      conv.history.push(historyEntry({
         type,
-        to,
         from,
-        task: parsedMessage.task || parsedMessage.question || parsedMessage.message,
-        status: type === 'RESPONSE' ? (parsedMessage.status || 'done') : 'open',
-        depth: parsedMessage.depth ? parsedMessage.depth.current : 1,
-        createdAt: now,
-        updatedAt: now,
-        lastType: type, // Track latest message type for timeout calculation
-        history: []
-      };
-    } else {
-      // Update existing conversation
-      const conv = state[requestId];
-      
-      if (type === 'RESPONSE') {
-        conv.status = parsedMessage.status || 'done';
-      } else if (type === 'CLARIFY') {
-        conv.status = 'clarifying';
-      }
-      
-      conv.updatedAt = now;
-      conv.lastType = type; // Update to latest message type
-    }
+        to,
+        status: parsedMessage.status,
+        at: now,
+        content: parsedMessage.task || parsedMessage.result || parsedMessage.question || parsedMessage.message ||
+          parsedMessage.reason
+      }, change));
+
+      conv.seen = [...(conv.seen || []), seenKey].slice(-SEEN_PER_CONVERSATION);
 
-    // Add to history
-    state[requestId].history.push({
-      type,
-      from,
-      to,
-      status: parsedMessage.status,
-      at: now,
-      content: parsedMessage.task || parsedMessage.result || parsedMessage.question || parsedMessage.message
+      await tx.set(requestId, conv);
+      stored = true;
+      return { ...conv, duplicate: false, transition: change };
     });
 
-    await saveState(state);
-    return state[requestId];
-  });
-}
+    // Only once the store has it: a failed commit must not turn the redelivery into a duplicate
+    if (stored) {
+      remember(seenKey, parsedMessage.requestId);
+    }
+    announce(parsedMessage.requestId, record);
+    return record;
+  }
 
-/**
- * Get conversation by requestId
- */
-async function get(requestId) {
-  const state = await loadState();
-  return state[requestId] || null;
-}
+  /**
+   * Whether `observer` has tracked this message before, without storing anything
+   * (lets a caller skip checks such as rate limits for redeliveries)
+   * @param {object} parsedMessage - Parsed protocol message
+   * @param {object} options - { observer }
+   * @returns {Promise<boolean>}
+   */
+  async function seen(parsedMessage, { observer } = {}) {
+    const seenKey = seenKeyOf(parsedMessage, observer);
+    if (recent.has(seenKey)) {
+      return true;
+    }
+    const conv = await store.get(parsedMessage.requestId);
+    return Boolean(conv && (conv.seen || []).includes(seenKey));
+  }
 
-/**
- * List conversations with optional filters
- */
-async function list({ status, from, to } = {}) {
-  const state = await loadState();
-  let conversations = Object.entries(state).map(([id, conv]) => ({
-    requestId: id,
-    ...conv
-  }));
+  /**
+   * Add a key to the in-memory window, dropping the oldest beyond its size
+   */
+  function remember(key, requestId) {
+    recent.set(key, requestId);
+    while (recent.size > dedupWindow) {
+      recent.delete(recent.keys().next().value);
+    }
+  }
 
-  if (status) {
-    conversations = conversations.filter(c => c.status === status);
+  /**
+   * Emit the lifecycle event for an applied transition
+   */
+  function announce(requestId, record) {
+    const change = record.transition;
+    if (!change.accepted) {
+      return;
+    }
+    // Staying open (repeated REQUEST, answered CLARIFY) is not a new lifecycle step
+    if (change.to === 'open' && change.from !== null) {
+      return;
+    }
+    if (change.to === 'cancelled' && change.from === 'cancelled') {
+      return;
+    }
+    const event = STATUS_EVENTS[change.to];
+    if (event) {
+      tracker.emit(event, { requestId, ...record });
+    }
   }
-  if (from) {
-    conversations = conversations.filter(c => c.from === from);
+
+  /**
+   * Get conversation by requestId
+   */
+  async function get(requestId) {
+    return store.get(requestId);
   }
-  if (to) {
-    conversations = conversations.filter(c => c.to === to);
+
+  /**
+   * List conversations with optional filters
+   */
+  async function list({ status, from, to, owner } = {}) {
+    const state = await store.all();
+    let conversations = Object.entries(state).map(([id, conv]) => ({
+      requestId: id,
+      ...conv
+    }));
+
+    if (status) {
+      conversations = conversations.filter(c => c.status === status);
+    }
+    if (from) {
+      conversations = conversations.filter(c => c.from === from);
+    }
+    if (to) {
+      conversations = conversations.filter(c => c.to === to);
+    }
+    if (owner) {
+      conversations = conversations.filter(c => c.owner === owner);
+    }
+
+    return conversations;
   }
 
-  return conversations;
-}
+  /**
+   * Still-active conversations that botName handed off to another bot
+   */
+  async function handedOff(botName) {
+    const conversations = await list();
+    return conversations.filter(c =>
+      isActive(c) &&
+      (c.handoffs || []).some(hop => hop.from === botName)
+    );
+  }
 
-/**
- * Mark a conversation as timed out
- */
-async function timeout(requestId, reason = 'timeout') {
-  return withLock(async () => {
-    const state = await loadState();
-    
-    if (state[requestId]) {
-      state[requestId].status = 'timeout';
-      state[requestId].updatedAt = new Date().toISOString();
-      state[requestId].history.push({
-        type: 'TIMEOUT',
-        reason,
-        at: new Date().toISOString()
-      });
-      
-      await saveState(state);
+  /**
+   * Mark a conversation as timed out
+   * Finished conversations are left as they are (the attempt is recorded)
+   */
+  async function timeout(requestId, reason = 'timeout') {
+    const record = await store.transaction(async (tx) => {
+      const conv = await tx.get(requestId);
+      if (!conv) {
+        return null;
+      }
+
+      const change = transition(conv.status, 'TIMEOUT');
+      const now = new Date().toISOString();
+
+      if (change.accepted) {
+        conv.status = change.to;
+        conv.updatedAt = now;
+        if (conv.priority === 'high') {
+          conv.escalated = true;
+        }
+      }
+      conv.history.push(historyEntry({ type: 'TIMEOUT', reason, at: now }, change));
+
+      await tx.set(requestId, conv);
+      return { ...conv, transition: change };
+    });
+
+    if (record) {
+      announce(requestId, record);
+      if (record.transition.accepted && record.escalated) {
+        tracker.emit('escalated', { requestId, ...record });
+      }
     }
-    
-    return state[requestId] || null;
-  });
-}
+    return record;
+  }
 
-/**
- * Cleanup old conversations
- */
-async function cleanup(olderThanMs = 24 * 60 * 60 * 1000) {
-  return withLock(async () => {
-    const state = await loadState();
+  /**
+   * Cleanup old conversations
+   * Removes finished ones (final partial answers included) not updated for `olderThanMs`
+   */
+  async function cleanup(olderThanMs = 24 * 60 * 60 * 1000) {
+    const removed = await store.transaction(async (tx) => {
+      const state = await tx.all();
+      const now = Date.now();
+      const removed = [];
+
+      for (const [requestId, conv] of Object.entries(state)) {
+        const updatedAt = new Date(conv.updatedAt).getTime();
+        const age = now - updatedAt;
+
+        // Remove if old and finished
+        if (age > olderThanMs && isFinished(conv)) {
+          await tx.delete(requestId);
+          removed.push({ requestId, ...conv });
+        }
+      }
+
+      return removed;
+    });
+
+    for (const record of removed) {
+      tracker.emit('cleaned', record);
+    }
+    return removed.length;
+  }
+
+  /**
+   * Check for timeouts and mark conversations as timed out
+   */
+  async function checkTimeouts() {
+    const state = await store.all();
     const now = Date.now();
-    let removed = 0;
+    let timedOut = [];
 
     for (const [requestId, conv] of Object.entries(state)) {
+      if (!isActive(conv)) {
+        continue; // Already completed or timed out
+      }
+
       const updatedAt = new Date(conv.updatedAt).getTime();
-      const age = now - updatedAt;
+      // An explicit deadline wins over the per-type timeout.
+      // Use lastType (latest message type) for timeout calculation, fallback to type
+      const expiresAt = conv.deadline
+        ? new Date(conv.deadline).getTime()
+        : updatedAt + timeoutFor(conv.lastType || conv.type, conv.priority);
+
+      if (now <= expiresAt) {
+        continue;
+      }
+
+      if (canRetry(conv)) {
+        const backoff = retryPolicy.backoffMs * 2 ** ((conv.attempt || 1) - 1);
+        if (now > expiresAt + backoff) {
+          await resend(requestId);
+        }
+        continue;
+      }
+
+      const reason = conv.deadline
+        ? `Deadline ${conv.deadline} passed`
+        : `No response after ${Math.floor((now - updatedAt) / 1000 / 60)} minutes`;
+      await timeout(requestId, reason);
+      timedOut.push(requestId);
+    }
+
+    return timedOut;
+  }
+
+  /**
+   * Whether a stalled conversation is one of our REQUESTs with attempts left
+   */
+  function canRetry(conv) {
+    if (!retryPolicy || !conv.raw || conv.from !== botName || conv.status !== 'open') {
+      return false;
+    }
+    if ((conv.attempt || 1) >= retryPolicy.maxAttempts) {
+      return false;
+    }
+    // Resending cannot help once an absolute Deadline has passed
+    return !parse(conv.raw).deadline;
+  }
+
+  /**
+   * Resend the original REQUEST with the next Attempt number
+   */
+  async function resend(requestId) {
+    const record = await store.transaction(async (tx) => {
+      const conv = await tx.get(requestId);
+      if (!conv || !canRetry(conv)) {
+        return null;
+      }
+
+      const original = parse(conv.raw);
+      const attempt = (conv.attempt || 1) + 1;
+      const message = buildRequest({ ...original, attempt, signingKey });
+      const now = new Date().toISOString();
+
+      conv.attempt = attempt;
+      conv.updatedAt = now;
+      if (original.timeout) {
+        conv.deadline = new Date(Date.now() + original.timeout).toISOString();
+      }
+      conv.history.push({ type: 'RETRY', from: conv.from, to: conv.to, attempt, at: now });
 
-      // Remove if old and completed/failed/timeout
-      if (age > olderThanMs && ['done', 'failed', 'timeout'].includes(conv.status)) {
-        delete state[requestId];
-        removed++;
+      await tx.set(requestId, conv);
+      return { requestId, ...conv, message };
+    });
+
+    if (record) {
+      tracker.emit('retry', record);
+      if (send) {
+        await send(record.message, record);
       }
     }
+    return record;
+  }
+
+  /**
+   * Run checkTimeouts() on an interval (does not keep the process alive)
+   * Errors are emitted as `error` when someone listens, logged otherwise.
+   */
+  function startTimeoutChecks(intervalMs = DEFAULT_CHECK_INTERVAL) {
+    stopTimeoutChecks();
+    timer = setInterval(() => {
+      checkTimeouts().catch((err) => {
+        if (tracker.listenerCount('error') > 0) {
+          tracker.emit('error', err);
+        } else {
+          console.error('[bot-protocol] Timeout check failed:', err.message);
+        }
+      });
+    }, intervalMs);
+    timer.unref();
+    return tracker;
+  }
 
-    if (removed > 0) {
-      await saveState(state);
+  /**
+   * Stop the interval started by startTimeoutChecks()
+   */
+  function stopTimeoutChecks() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
     }
+    return tracker;
+  }
 
-    return removed;
+  return Object.assign(tracker, {
+    track,
+    seen,
+    get,
+    list,
+    handedOff,
+    timeout,
+    cleanup,
+    checkTimeouts,
+    timeoutFor,
+    configure,
+    startTimeoutChecks,
+    stopTimeoutChecks,
+    store
   });
 }
 
 /**
- * Check for timeouts and mark conversations as timed out
+ * Record one hop of a handoff chain and move ownership to its target
  */
-async function checkTimeouts() {
-  const state = await loadState();
-  const now = Date.now();
-  let timedOut = [];
+function recordHandoff(conv, message, at) {
+  const callback = callbackBot(message.callback) || conv.callback || conv.requester || conv.from;
+  conv.handoffs = conv.handoffs || [];
+  // Sender and receiver may share a store and both track the same HANDOFF
+  const last = conv.handoffs[conv.handoffs.length - 1];
+  if (!last || last.from !== message.from || last.to !== message.to) {
+    conv.handoffs.push({ from: message.from, to: message.to, at, callback });
+  }
+  conv.requester = conv.requester || callback;
+  conv.owner = message.to;
+  conv.callback = callback;
+}
 
-  for (const [requestId, conv] of Object.entries(state)) {
-    if (conv.status !== 'open' && conv.status !== 'clarifying') {
-      continue; // Already completed or timed out
-    }
+/**
+ * Whether a bot may cancel a conversation: whoever started it, the original
+ * requester, or any bot that handed it off along the way
+ */
+function canCancel(botName, conv) {
+  const upstream = [conv.from, conv.requester, ...(conv.handoffs || []).map(hop => hop.from)];
+  return upstream.includes(botName);
+}
 
-    const updatedAt = new Date(conv.updatedAt).getTime();
-    // Use lastType (latest message type) for timeout calculation, fallback to type
-    const messageType = conv.lastType || conv.type;
-    const timeoutMs = DEFAULT_TIMEOUTS[messageType] || DEFAULT_TIMEOUTS.REQUEST;
-    const age = now - updatedAt;
+/**
+ * A RESPONSE with Status: partial and a Seq is a progress update; the
+ * request is still being worked on
+ */
+function isProgress(message) {
+  return message.type === 'RESPONSE' && message.status === 'partial' && Boolean(message.seq);
+}
 
-    if (age > timeoutMs) {
-      await timeout(requestId, `No response after ${Math.floor(age / 1000 / 60)} minutes`);
-      timedOut.push(requestId);
-    }
+/**
+ * Whether a conversation is still waiting for something (and can time out)
+ */
+function isActive(conv) {
+  return ACTIVE_STATUSES.includes(conv.status) || (conv.status === 'partial' && (conv.stream || []).length > 0);
+}
+
+/**
+ * Whether a conversation has ended: a final status, or a partial RESPONSE
+ * without Seq (the final, incomplete answer, e.g. at max depth)
+ */
+function isFinished(conv) {
+  return TERMINAL_STATUSES.includes(conv.status) || (conv.status === 'partial' && !isActive(conv));
+}
+
+/**
+ * Add a progress update to the conversation's stream, kept in Seq order
+ * Repeated Seq numbers are ignored. `progress` and `expectedAt` (when the
+ * ETA says the work will be done) follow the latest update that gives them.
+ */
+function recordProgress(conv, message, at) {
+  const stream = conv.stream || [];
+  if (!stream.some(update => update.seq === message.seq)) {
+    stream.push({
+      seq: message.seq,
+      from: message.from,
+      result: message.result,
+      data: message.data,
+      progress: message.progress,
+      expectedAt: message.eta === null ? null : new Date(new Date(at).getTime() + message.eta).toISOString(),
+      at
+    });
+    stream.sort((a, b) => a.seq - b.seq);
   }
+  conv.stream = stream;
 
-  return timedOut;
+  for (const update of stream) {
+    if (update.progress !== null) conv.progress = update.progress;
+    if (update.expectedAt !== null) conv.expectedAt = update.expectedAt;
+  }
 }
 
+/**
+ * Carry Priority and Timeout / Deadline headers into the conversation
+ * A relative Timeout is turned into a deadline from the time it was seen.
+ */
+function applyTiming(conv, message, now) {
+  if (message.priority) {
+    conv.priority = message.priority;
+  }
+  if (message.deadline) {
+    conv.deadline = message.deadline;
+  } else if (message.timeout) {
+    conv.deadline = new Date(new Date(now).getTime() + message.timeout).toISOString();
+  }
+}
+
+/**
+ * History entry annotated with the outcome of its transition
+ */
+function historyEntry(entry, change) {
+  if (!change.accepted) {
+    return { ...entry, rejected: true, reason: change.reason };
+  }
+  if (change.flagged) {
+    return { ...entry, flagged: true, reason: change.reason, transition: `${change.from} → ${change.to}` };
+  }
+  return { ...entry, transition: `${change.from || 'new'} → ${change.to}` };
+}
+
+// Default tracker backed by the workspace state file
+const defaultTracker = createTracker({ store: createJsonFileStore(STATE_FILE) });
+
 module.exports = {
-  track,
-  get,
-  list,
-  timeout,
-  cleanup,
-  checkTimeouts,
-  STATE_FILE
+  track: defaultTracker.track,
+  seen: defaultTracker.seen,
+  get: defaultTracker.get,
+  list: defaultTracker.list,
+  handedOff: defaultTracker.handedOff,
+  timeout: defaultTracker.timeout,
+  cleanup: defaultTracker.cleanup,
+  checkTimeouts: defaultTracker.checkTimeouts,
+  timeoutFor: defaultTracker.timeoutFor,
+  configure: defaultTracker.configure,
+  startTimeoutChecks: defaultTracker.startTimeoutChecks,
+  stopTimeoutChecks: defaultTracker.stopTimeoutChecks,
+  on: defaultTracker.on.bind(defaultTracker),
+  off: defaultTracker.off.bind(defaultTracker),
+  once: defaultTracker.once.bind(defaultTracker),
+  createTracker,
+  transition,
+  fingerprint,
+  callbackBot,
+  STATE_FILE,
+  DEFAULT_TIMEOUTS,
+  PRIORITY_SCALE,
+  STATUSES,
+  TERMINAL_STATUSES
 };
@@ -0,0 +1,496 @@
+/**
+ * Bot-to-Bot Protocol State Storage
+ * Storage adapters used by the state tracker
+ *
+ * A store keeps conversation records keyed by requestId and exposes:
+ *   - get(requestId): Promise<object|null>
+ *   - all(): Promise<object>                  { requestId: record }
+ *   - set(requestId, record): Promise<void>
+ *   - delete(requestId): Promise<void>
+ *   - transaction(fn): Promise<any>           fn(tx) runs with exclusive access;
+ *                                             tx has the same get/all/set/delete
+ *
+ * File stores are safe to share between processes: transactions hold an
+ * OS-level lock file (`<file>.lock`, reclaimed when stale) and files are
+ * replaced atomically (write to a temp file, fsync, rename).
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_COMPACT_AFTER = 1000; // log entries
+const DEFAULT_LOCK_OPTIONS = {
+  staleMs: 10 * 1000,   // a lock we cannot check the owner of is abandoned after this
+  timeoutMs: 5 * 1000,  // give up waiting for the lock after this
+  retryMs: 20           // base delay between attempts
+};
+
+/**
+ * Serialize async operations (one at a time, in call order)
+ */
+function createMutex() {
+  let lock = Promise.resolve();
+
+  return function withLock(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Deep copy a record so callers never share objects with the store
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build the standard store interface on top of a load/commit pair
+ *
+ * load() returns the full state object; commit(state, changes) persists a
+ * list of { op: 'set'|'delete', requestId, record } changes. The optional
+ * lock() is held around every transaction and returns a release function.
+ */
+function createStore({ load, commit, lock }) {
+  const withLock = createMutex();
+
+  async function transaction(fn) {
+    return withLock(async () => {
+      const release = lock ? await lock() : null;
+      try {
+        return await runTransaction(fn);
+      } finally {
+        if (release) {
+          await release();
+        }
+      }
+    });
+  }
+
+  async function runTransaction(fn) {
+    // Work on a copy so a failing fn leaves the store untouched
+    const state = clone(await load({ repair: true }));
+    const changes = [];
+
+    const tx = {
+      get: async requestId => clone(state[requestId]) || null,
+      all: async () => clone(state),
+      set: async (requestId, record) => {
+        state[requestId] = clone(record);
+        changes.push({ op: 'set', requestId, record: state[requestId] });
+      },
+      delete: async (requestId) => {
+        delete state[requestId];
+        changes.push({ op: 'delete', requestId });
+      }
+    };
+
+    const result = await fn(tx);
+    if (changes.length > 0) {
+      await commit(state, changes);
+    }
+    return result;
+  }
+
+  return {
+    get: requestId => withLock(async () => clone((await load())[requestId]) || null),
+    all: () => withLock(async () => clone(await load())),
+    set: (requestId, record) => transaction(tx => tx.set(requestId, record)),
+    delete: requestId => transaction(tx => tx.delete(requestId)),
+    transaction
+  };
+}
+
+/**
+ * In-memory store (tests, daemons that do not need persistence)
+ */
+function createMemoryStore(initial = {}) {
+  let state = clone(initial);
+
+  return createStore({
+    load: async () => clone(state),
+    commit: async (next) => {
+      state = next;
+    }
+  });
+}
+
+/**
+ * Single JSON file holding every conversation (rewritten on each change)
+ *
+ * Every commit also refreshes `<file>.bak`. If the main file is ever found
+ * corrupt, it is moved aside to `<file>.corrupt-<timestamp>` and the last good
+ * snapshot is used instead, and `onCorrupt(err)` is told (see reportCorruption).
+ *
+ * @param {string} filePath - State file
+ * @param {object} options - { lock: false to disable the lock file, staleLockMs, lockTimeoutMs, onCorrupt }
+ */
+function createJsonFileStore(filePath, options = {}) {
+  if (!filePath) {
+    throw new Error('createJsonFileStore requires a file path');
+  }
+
+  const store = createStore({
+    load: ({ repair } = {}) => loadJson(filePath, { repair, onCorrupt: options.onCorrupt }),
+    commit: state => saveJson(filePath, state),
+    lock: createFileLock(filePath, options)
+  });
+  store.filePath = filePath;
+  return store;
+}
+
+/**
+ * Append-only JSONL log of changes, replayed on load and compacted into a
+ * snapshot once it grows past `compactAfter` entries. Writes only append the
+ * changed records, which keeps large conversation sets cheap to update.
+ * New entries appended by other processes are picked up on the next access.
+ * A line left half-written by a crash is skipped and reported to `onCorrupt(err)`.
+ *
+ * @param {string} filePath - Log file
+ * @param {object} options - { compactAfter, lock, staleLockMs, lockTimeoutMs, onCorrupt }
+ */
+function createJsonlStore(filePath, options = {}) {
+  if (!filePath) {
+    throw new Error('createJsonlStore requires a file path');
+  }
+
+  const compactAfter = options.compactAfter || DEFAULT_COMPACT_AFTER;
+  let state = {};
+  let offset = 0;
+  let entries = 0;
+  let inode = null;
+  let partialTail = false;
+
+  function reset() {
+    state = {};
+    offset = 0;
+    entries = 0;
+  }
+
+  async function load() {
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        reset();
+        inode = null;
+        partialTail = false;
+        return state;
+      }
+      throw err;
+    }
+
+    try {
+      const { size, ino } = await handle.stat();
+      if (ino !== inode || size < offset) {
+        // File was compacted (or replaced) since we last read it
+        reset();
+        inode = ino;
+      }
+      if (size > offset) {
+        const buffer = Buffer.alloc(size - offset);
+        await handle.read(buffer, 0, buffer.length, offset);
+        // Only consume complete lines; a partial last line is read next time
+        const end = buffer.lastIndexOf('\n') + 1;
+        for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+          if (line.trim()) {
+            applyLine(line);
+            entries++;
+          }
+        }
+        offset += end;
+      }
+      partialTail = size > offset;
+    } finally {
+      await handle.close();
+    }
+
+    return state;
+  }
+
+  function applyLine(line) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      reportCorruption(options.onCorrupt, filePath, `Skipping corrupt entry in ${filePath}`);
+      return;
+    }
+
+    if (entry.op === 'set') {
+      state[entry.requestId] = entry.record;
+    } else if (entry.op === 'delete') {
+      delete state[entry.requestId];
+    }
+  }
+
+  async function commit(next, changes) {
+    state = next;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Compact once the log is long and mostly superseded entries
+    const total = entries + changes.length;
+    if (total > compactAfter && total > 2 * Object.keys(state).length) {
+      await compact();
+      return;
+    }
+
+    // Commits run under the lock, so a partial last line can only be left
+    // over from a crashed writer: terminate it so it is skipped as corrupt
+    const prefix = partialTail ? '\n' : '';
+    const data = prefix + changes.map(change => JSON.stringify(change) + '\n').join('');
+    await fs.appendFile(filePath, data, 'utf8');
+
+    const { size, ino } = await fs.stat(filePath);
+    offset = size;
+    inode = ino;
+    entries += changes.length;
+    partialTail = false;
+  }
+
+  async function compact() {
+    const records = Object.entries(state);
+    const data = records
+      .map(([requestId, record]) => JSON.stringify({ op: 'set', requestId, record }) + '\n')
+      .join('');
+
+    await writeFileAtomic(filePath, data);
+
+    const { size, ino } = await fs.stat(filePath);
+    offset = size;
+    inode = ino;
+    entries = records.length;
+    partialTail = false;
+  }
+
+  const store = createStore({ load, commit, lock: createFileLock(filePath, options) });
+  store.filePath = filePath;
+  store.compact = () => store.transaction(async () => compact());
+  return store;
+}
+
+/**
+ * Build the lock function for a file store (null when disabled)
+ */
+function createFileLock(filePath, { lock = true, staleLockMs, lockTimeoutMs } = {}) {
+  if (!lock) {
+    return null;
+  }
+
+  return () => acquireFileLock(`${filePath}.lock`, {
+    staleMs: staleLockMs || DEFAULT_LOCK_OPTIONS.staleMs,
+    timeoutMs: lockTimeoutMs || DEFAULT_LOCK_OPTIONS.timeoutMs
+  });
+}
+
+/**
+ * Acquire an exclusive lock file, shared by every process using the same path
+ *
+ * The lock file holds the owner's host, pid and a random token. A lock taken
+ * on this host is stale once its owner process is gone, however long a live
+ * owner holds it; one from another host (or half-written) is stale once older
+ * than `staleMs`. Stale locks are removed and acquisition is retried.
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {object} options - { staleMs, timeoutMs, retryMs }
+ * @returns {Promise<Function>} - Async release function
+ */
+async function acquireFileLock(lockPath, options = {}) {
+  const { staleMs, timeoutMs, retryMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const token = crypto.randomBytes(8).toString('hex');
+  const owner = JSON.stringify({ host: os.hostname(), pid: process.pid, token, at: new Date().toISOString() });
+  const deadline = Date.now() + timeoutMs;
+
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      return async () => {
+        // Only remove the lock if it is still ours
+        try {
+          const current = await fs.readFile(lockPath, 'utf8');
+          if (current === owner) {
+            await fs.unlink(lockPath);
+          }
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+
+    const stale = await readStaleLock(lockPath, staleMs);
+    if (stale !== null) {
+      await removeStaleLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for state lock ${lockPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryMs + Math.floor(Math.random() * retryMs)));
+  }
+}
+
+/**
+ * Content of an existing lock file if it has been abandoned, else null
+ */
+async function readStaleLock(lockPath, staleMs) {
+  let stat;
+  let content;
+  try {
+    stat = await fs.stat(lockPath);
+    content = await fs.readFile(lockPath, 'utf8');
+  } catch (err) {
+    return null; // Released meanwhile - just retry
+  }
+
+  let owner = null;
+  try {
+    owner = JSON.parse(content);
+  } catch (err) {
+    // Half-written by a live writer: leave it until it goes stale
+  }
+
+  // The owner is on this host (locks without a host predate it): ask the process
+  if (owner && Number.isInteger(owner.pid) && (!owner.host || owner.host === os.hostname())) {
+    try {
+      process.kill(owner.pid, 0);
+      return null;
+    } catch (err) {
+      // ESRCH: owner is gone. EPERM: alive but not ours.
+      return err.code === 'ESRCH' ? content : null;
+    }
+  }
+
+  return Date.now() - stat.mtimeMs > staleMs ? content : null;
+}
+
+/**
+ * Remove a stale lock unless it was replaced since it was found stale
+ *
+ * Two processes may find the same lock stale; the first removes it and takes
+ * a new one. The lock is therefore moved to a tombstone only this process
+ * knows and checked there: a fresh lock moved by mistake is put back.
+ */
+async function removeStaleLock(lockPath, stale) {
+  const tombstone = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, tombstone);
+  } catch (err) {
+    if (err.code === 'ENOENT') return; // Reclaimed by someone else
+    throw err;
+  }
+
+  const content = await fs.readFile(tombstone, 'utf8').catch(() => null);
+  if (content !== stale) {
+    await fs.link(tombstone, lockPath).catch(() => {});
+  }
+  await fs.unlink(tombstone).catch(() => {});
+}
+
+/**
+ * Tell `onCorrupt` about a corrupt state file or log entry (an Error with
+ * code 'CORRUPT_STATE' and `filePath`), or warn on the console without it
+ */
+function reportCorruption(onCorrupt, filePath, message) {
+  if (!onCorrupt) {
+    console.warn(`[bot-protocol] ${message}`);
+    return;
+  }
+  const err = new Error(message);
+  err.code = 'CORRUPT_STATE';
+  err.filePath = filePath;
+  onCorrupt(err);
+}
+
+/**
+ * Replace a file atomically: write a temp file, fsync, rename over the target
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmpFile, filePath);
+  } catch (err) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Read a JSON state file (missing file = empty state)
+ *
+ * A corrupt file falls back to the `.bak` snapshot. With `repair` (only
+ * under the lock) the corrupt file is also moved aside and the snapshot restored.
+ */
+async function loadJson(filePath, { repair = false, onCorrupt } = {}) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {}; // File doesn't exist yet
+    }
+    throw err;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    const backup = await readBackup(filePath);
+    reportCorruption(onCorrupt, filePath, `Corrupt state file ${filePath}: ${err.message}. Using last good snapshot.`);
+
+    if (repair) {
+      await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`);
+      await writeFileAtomic(filePath, JSON.stringify(backup, null, 2));
+    }
+    return backup;
+  }
+}
+
+/**
+ * Read the last good snapshot (empty state if there is none)
+ */
+async function readBackup(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(`${filePath}.bak`, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Write a JSON state file and refresh its last good snapshot
+ */
+async function saveJson(filePath, state) {
+  const data = JSON.stringify(state, null, 2);
+  await writeFileAtomic(filePath, data);
+  await writeFileAtomic(`${filePath}.bak`, data);
+}
+
+module.exports = {
+  createMemoryStore,
+  createJsonFileStore,
+  createJsonlStore,
+  createMutex,
+  acquireFileLock,
+  writeFileAtomic
+};
@@ -0,0 +1,132 @@
+/**
+ * Bot-to-Bot Protocol Transports
+ * Channel adapters that receive and send raw message text
+ *
+ * A transport is an EventEmitter that emits `message` (raw text) and
+ * `close` (no more messages will arrive), and exposes:
+ *   - send(text): Promise<void>  post raw text to the channel
+ *   - close():    Promise<void>  stop receiving
+ */
+
+const { EventEmitter } = require('events');
+const readline = require('readline');
+
+/**
+ * Create an in-memory channel shared by several transports
+ * Every message sent by one transport is delivered to all the others,
+ * asynchronously, in send order.
+ * @returns {object} - { connect(name), history }
+ */
+function createLoopbackBus() {
+  const members = new Set();
+  const history = [];
+
+  function connect(name) {
+    const transport = new EventEmitter();
+    transport.name = name || `loopback-${members.size + 1}`;
+
+    transport.send = async (text) => {
+      if (!members.has(transport)) {
+        throw new Error(`Transport ${transport.name} is closed`);
+      }
+      history.push({ from: transport.name, text });
+      for (const member of members) {
+        if (member !== transport) {
+          setImmediate(() => member.emit('message', text));
+        }
+      }
+    };
+
+    transport.close = async () => {
+      if (members.delete(transport)) {
+        transport.emit('close');
+      }
+    };
+
+    members.add(transport);
+    return transport;
+  }
+
+  return { connect, history };
+}
+
+/**
+ * Create a line-oriented transport over a pair of streams (stdin/stdout by default)
+ *
+ * Protocol messages span several lines, so each message travels as one
+ * JSON-encoded string per line. Lines that are not JSON strings are passed
+ * through as plain text. Any duplex stream (e.g. a `net` socket) can be used
+ * as both input and output.
+ *
+ * The end of the input only ends receiving (`close` is emitted); replies can
+ * still be written until close() is called.
+ *
+ * @param {object} options - { input, output, name }
+ * @returns {EventEmitter} - Transport
+ */
+function createStreamTransport({ input = process.stdin, output = process.stdout, name = 'stdio' } = {}) {
+  const transport = new EventEmitter();
+  transport.name = name;
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  let inputEnded = false;
+  let closed = false;
+
+  rl.on('line', (line) => {
+    if (line.trim()) {
+      transport.emit('message', decodeLine(line));
+    }
+  });
+  rl.on('close', () => {
+    inputEnded = true;
+    transport.emit('close');
+  });
+
+  transport.send = (text) => new Promise((resolve, reject) => {
+    if (closed) {
+      reject(new Error(`Transport ${name} is closed`));
+      return;
+    }
+    output.write(encodeLine(text), (err) => (err ? reject(err) : resolve()));
+  });
+
+  transport.close = async () => {
+    closed = true;
+    if (!inputEnded) {
+      rl.close();
+    }
+  };
+
+  return transport;
+}
+
+/**
+ * Encode a (possibly multi-line) message as a single line
+ */
+function encodeLine(text) {
+  return JSON.stringify(String(text)) + '\n';
+}
+
+/**
+ * Decode a line produced by encodeLine (plain lines pass through unchanged)
+ */
+function decodeLine(line) {
+  if (line.startsWith('"')) {
+    try {
+      const value = JSON.parse(line);
+      if (typeof value === 'string') {
+        return value;
+      }
+    } catch (err) {
+      // Not JSON - treat as plain text
+    }
+  }
+  return line;
+}
+
+module.exports = {
+  createLoopbackBus,
+  createStreamTransport,
+  encodeLine,
+  decodeLine
+};
@@ -0,0 +1,110 @@
+/**
+ * Bot-to-Bot Protocol Versions
+ * Which message types and fields each protocol version allows
+ *
+ * Messages declare their version in a `Protocol: x.y` field. Messages
+ * without one are v0.1, which predates the field.
+ */
+
+const V0_1_TYPES = ['REQUEST', 'RESPONSE', 'CLARIFY', 'HANDOFF', 'BROADCAST'];
+
+const V0_1_FIELDS = [
+  'from', 'requestid', 'task', 'result', 'context', 'depth',
+  'callback', 'priority', 'status', 'question', 'message'
+];
+
+const VERSIONS = {
+  '0.1': { types: V0_1_TYPES, fields: V0_1_FIELDS },
+  '0.2': {
+    types: [...V0_1_TYPES, 'CANCEL'],
+    fields: [
+      ...V0_1_FIELDS, 'protocol', 'timeout', 'deadline', 'attempt', 'signature', 'data', 'capability',
+      'part', 'chunk', 'seq', 'progress', 'eta', 'reason'
+    ]
+  }
+};
+
+const DEFAULT_VERSION = '0.1';
+const CURRENT_VERSION = '0.2';
+const ESCAPES_SINCE = '0.2'; // First version whose values are escaped (see serializer.js)
+const SUPPORTED_VERSIONS = Object.keys(VERSIONS);
+
+/**
+ * Types and fields of a version
+ * @returns {object|null} - { types, fields } (lowercase field names) or null if unknown
+ */
+function versionSpec(version) {
+  return VERSIONS[version] || null;
+}
+
+/**
+ * Compare two "x.y" versions
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const [aMajor, aMinor] = a.split('.').map(Number);
+  const [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * Pick the highest version both sides speak
+ * @param {string|string[]} theirs - Version(s) the peer supports
+ * @returns {string|null} - Common version, or null if there is none
+ */
+function negotiate(theirs) {
+  const offered = (Array.isArray(theirs) ? theirs : [theirs]).filter(v => SUPPORTED_VERSIONS.includes(v));
+  return offered.sort(compareVersions).pop() || null;
+}
+
+/**
+ * Check that a built message only uses the type and fields of a version
+ * @throws {Error} - For a type, or the first field, the version does not know
+ */
+function checkFields(message, version) {
+  const spec = versionSpec(version);
+  if (!spec) {
+    throw new Error(`Unsupported protocol version: ${version}`);
+  }
+  checkEscapes(message, version);
+  const header = message.match(/^\[(\w+)\s*→/m);
+  if (header && !spec.types.includes(header[1])) {
+    throw new Error(`${header[1]} is not part of protocol ${version}`);
+  }
+  for (const line of message.split('\n')) {
+    const field = line.match(/^([A-Za-z]+):/);
+    if (field && !spec.fields.includes(field[1].toLowerCase())) {
+      throw new Error(`${field[1]} is not part of protocol ${version}`);
+    }
+  }
+}
+
+/**
+ * Whether values of a version are escaped; older messages are read as written
+ */
+function escapesValues(version) {
+  return /^\d+\.\d+$/.test(version) && compareVersions(version, ESCAPES_SINCE) >= 0;
+}
+
+/**
+ * Throw if a message text uses escapes its version does not have
+ * (an older reader would keep the backslashes)
+ */
+function checkEscapes(message, version) {
+  if (!escapesValues(version) && /^\\|``\\/m.test(message)) {
+    throw new Error(`Values that need escaping are not part of protocol ${version}`);
+  }
+}
+
+module.exports = {
+  VERSIONS,
+  DEFAULT_VERSION,
+  CURRENT_VERSION,
+  SUPPORTED_VERSIONS,
+  versionSpec,
+  compareVersions,
+  negotiate,
+  checkFields,
+  escapesValues,
+  checkEscapes
+};
@@ -4,38 +4,66 @@
 
 const { runParserTests } = require('./test-parser.js');
 const { runBuilderTests } = require('./test-builder.js');
+const { runStateTests } = require('./test-state.js');
+const { runMiddlewareTests } = require('./test-middleware.js');
+const { runRouterTests } = require('./test-router.js');
+const { runDaemonTests } = require('./test-daemon.js');
+const { runClientTests } = require('./test-client.js');
+const { runSigningTests } = require('./test-signing.js');
+const { runPolicyTests } = require('./test-policy.js');
+const { runPayloadTests } = require('./test-payload.js');
+const { runCapabilityTests } = require('./test-capabilities.js');
+const { runDiscoveryTests } = require('./test-discovery.js');
+const { runVersionTests } = require('./test-versions.js');
+const { runSerializerTests } = require('./test-serializer.js');
+const { runReassemblyTests } = require('./test-reassembly.js');
+
+const SUITES = [
+  ['Parser', runParserTests],
+  ['Builder', runBuilderTests],
+  ['State', runStateTests],
+  ['Middleware', runMiddlewareTests],
+  ['Router', runRouterTests],
+  ['Daemon', runDaemonTests],
+  ['Client', runClientTests],
+  ['Signing', runSigningTests],
+  ['Policy', runPolicyTests],
+  ['Payload', runPayloadTests],
+  ['Capabilities', runCapabilityTests],
+  ['Discovery', runDiscoveryTests],
+  ['Versions', runVersionTests],
+  ['Serializer', runSerializerTests],
+  ['Reassembly', runReassemblyTests]
+];
 
 async function runAllTests() {
   console.log('\n╔═══════════════════════════════════════╗');
   console.log('║  Bot-to-Bot Protocol Test Suite     ║');
   console.log('╚═══════════════════════════════════════╝');
-  
-  const results = {
-    parser: false,
-    builder: false
-  };
-  
-  // Run parser tests
-  results.parser = runParserTests();
-  
-  // Run builder tests
-  results.builder = runBuilderTests();
-  
+
+  const results = {};
+
+  // Run suites one after another (some share process-wide state)
+  for (const [name, run] of SUITES) {
+    results[name] = await run();
+  }
+
   // Summary
   console.log('═══════════════════════════════════════');
   console.log('Test Summary:');
-  console.log(`  Parser:  ${results.parser ? '✅ PASS' : '❌ FAIL'}`);
-  console.log(`  Builder: ${results.builder ? '✅ PASS' : '❌ FAIL'}`);
+  for (const [name] of SUITES) {
+    console.log(`  ${(name + ':').padEnd(14)} ${results[name] ? '✅ PASS' : '❌ FAIL'}`);
+  }
   console.log('═══════════════════════════════════════\n');
-  
-  const allPassed = results.parser && results.builder;
-  
+
+  const allPassed = Object.values(results).every(Boolean);
+
   if (allPassed) {
     console.log('🎉 All tests passed!\n');
   } else {
     console.log('❌ Some tests failed.\n');
   }
-  
+
   return allPassed;
 }
 
@@ -2,7 +2,8 @@
  * Builder Tests
  */
 
-const { buildRequest, buildResponse, buildClarify, buildHandoff, buildBroadcast, generateRequestId } = require('../lib/builder.js');
+const { buildRequest, buildResponse, buildProgress, buildClarify, buildHandoff, buildBroadcast, buildCancel, buildDiagnostic, buildBundle, generateRequestId } = require('../lib/builder.js');
+const { parse, parseAll } = require('../lib/parser.js');
 
 function assert(condition, message) {
   if (!condition) {
@@ -47,6 +48,42 @@ function testBuildResponse() {
   console.log('✓ testBuildResponse passed');
 }
 
+function testBuildProgress() {
+  const msg = buildProgress({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-abc123',
+    seq: 2,
+    progress: 40,
+    eta: 90 * 1000,
+    result: 'Checked 4 of 10 machines',
+    depth: { current: 2, max: 5 }
+  });
+
+  assert(msg.includes('[RESPONSE → @Lotbot]'), 'Progress updates are RESPONSEs');
+  assert(msg.includes('Status: partial\nSeq: 2\nProgress: 40%\nETA: 90s\n'), 'Should include Status, Seq, Progress and ETA');
+  assert(msg.includes('Result: Checked 4 of 10 machines'), 'Should include the partial result');
+
+  const bare = buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-abc123', seq: 1 });
+  assert(!bare.includes('Progress:') && !bare.includes('ETA:'), 'Progress and ETA are optional');
+
+  for (const [fields, expected] of [
+    [{ seq: 1.5 }, 'Invalid seq: 1.5 (expected a whole number from 1)'],
+    [{ seq: 1, progress: 120 }, 'Invalid progress: 120 (expected a percentage from 0 to 100)'],
+    [{ seq: 1, eta: 'soon' }, 'Invalid eta: soon']
+  ]) {
+    let error = null;
+    try {
+      buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-abc123', ...fields });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message === expected, `Should throw "${expected}"`);
+  }
+
+  console.log('✓ testBuildProgress passed');
+}
+
 function testBuildClarify() {
   const msg = buildClarify({
     to: 'Lotbot',
@@ -94,6 +131,37 @@ function testBuildBroadcast() {
   console.log('✓ testBuildBroadcast passed');
 }
 
+function testBuildCancel() {
+  const msg = buildCancel({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-abc123',
+    reason: 'No longer needed'
+  });
+
+  assert(msg.includes('[CANCEL → @Mantis]'), 'Should include CANCEL header');
+  assert(msg.includes('Reason: No longer needed'), 'Should include Reason');
+  assert(!msg.includes('Depth:'), 'A CANCEL carries no Depth');
+  assert(parse(msg).type === 'CANCEL', 'Should parse back');
+  assert(!buildCancel({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-abc123' }).includes('Reason:'), 'Reason is optional');
+
+  const attempts = [
+    [() => buildCancel({ to: 'Mantis', from: 'Lotbot' }), 'CANCEL requires field: requestId'],
+    [() => buildCancel({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-abc123', protocol: '0.1' }), 'CANCEL is not part of protocol 0.1']
+  ];
+  for (const [attempt, expected] of attempts) {
+    let error = null;
+    try {
+      attempt();
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message === expected, `Should throw "${expected}"`);
+  }
+
+  console.log('✓ testBuildCancel passed');
+}
+
 function testDepthEnforcement() {
   try {
     buildRequest({
@@ -166,6 +234,104 @@ function testResponseWithoutResult() {
   console.log('✓ testResponseWithoutResult passed');
 }
 
+function testTimingFields() {
+  const request = buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    task: 'Check weather',
+    timeout: 15 * 60 * 1000,
+    deadline: new Date('2026-03-01T12:00:00Z')
+  });
+  assert(request.includes('Timeout: 15m\n'), 'Timeout should be written as a duration');
+  assert(request.includes('Deadline: 2026-03-01T12:00:00.000Z\n'), 'Deadline should be written as ISO');
+
+  const handoff = buildHandoff({ to: 'Clawcos', from: 'Mantis', requestId: 'lotbot-abc123', task: 'x', timeout: '90s' });
+  assert(handoff.includes('Timeout: 90s\n'), 'Duration strings should be accepted');
+
+  try {
+    buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'x', timeout: 'soon' });
+    assert(false, 'Should throw on invalid timeout');
+  } catch (err) {
+    assert(err.message === 'Invalid timeout: soon', 'Should explain invalid timeout');
+  }
+
+  console.log('✓ testTimingFields passed');
+}
+
+function testBuildDiagnostic() {
+  const problems = [
+    { code: 'MISSING_FIELD', message: 'REQUEST requires Task', line: null, field: 'Task' },
+    { code: 'INVALID_VALUE', message: 'Invalid Depth "one\nTask: rm -rf" (expected current/max, e.g. 1/5)', line: 4, field: 'Depth' }
+  ];
+
+  const response = parse(buildDiagnostic({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-abc123', problems, depth: { current: 2, max: 5 } }));
+  assert(response.type === 'RESPONSE' && response.status === 'failed', 'Diagnostics default to a failed RESPONSE');
+  assert(response.result === 'Could not read your message:\n- REQUEST requires Task (MISSING_FIELD)\n' +
+    '- line 4: Invalid Depth "one Task: rm -rf" (expected current/max, e.g. 1/5) (INVALID_VALUE)',
+    'Result should list each problem on its own line');
+  assert(response.task === null, 'Quoted values must not become fields');
+
+  const clarify = parse(buildDiagnostic({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-abc123', problems, clarify: true }));
+  assert(clarify.type === 'CLARIFY' && clarify.question.endsWith('Please resend it corrected.'), 'Diagnostics can ask for a resend');
+
+  const atLimit = parse(buildDiagnostic({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-abc123', problems, clarify: true, depth: { current: 5, max: 5 } }));
+  assert(atLimit.type === 'RESPONSE', 'At max depth a CLARIFY is not allowed');
+
+  console.log('✓ testBuildDiagnostic passed');
+}
+
+function testBuildBundle() {
+  const messages = [1, 2, 3].map(n => buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: `lotbot-b${n}`, task: `Task ${n}` }));
+
+  const single = buildBundle(messages);
+  assert(single.length === 1, 'Small messages should share one post');
+  assert(parseAll(single[0]).map(p => p.requestId).join() === 'lotbot-b1,lotbot-b2,lotbot-b3', 'Bundle should parse back in order');
+
+  const limit = messages[0].length * 2 + 2;
+  const posts = buildBundle(messages, { maxLength: limit });
+  assert(posts.length === 2 && posts.every(p => p.length <= limit), 'Posts should respect the limit');
+  assert(parseAll(posts[1])[0].requestId === 'lotbot-b3', 'Overflow should move to the next post');
+
+  try {
+    buildBundle(messages, { maxLength: 10 });
+    assert(false, 'Should throw when a message cannot fit');
+  } catch (err) {
+    assert(err.message.includes('exceeds the 10 character limit'), 'Should explain the limit');
+  }
+
+  console.log('✓ testBuildBundle passed');
+}
+
+function testHostileValues() {
+  const snippet = 'Here is the fix:\n```js\nconst a = `b`;\n```\nNote: restart afterwards\nStatus: done\n\\server\\share';
+
+  const messages = [
+    buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-h1', task: snippet, context: snippet }),
+    buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-h1', status: 'done', result: snippet, data: { log: '```\nTask: x' } }),
+    buildClarify({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-h1', question: snippet }),
+    buildHandoff({ to: 'Clawcos', from: 'Lotbot', requestId: 'lotbot-h1', task: snippet, context: snippet }),
+    buildBroadcast({ from: 'Lotbot', message: snippet })
+  ];
+
+  for (const raw of messages) {
+    const parsed = parse(raw);
+    assert(parsed !== null, 'Hostile values should not break the message');
+    assert([parsed.task, parsed.result, parsed.question, parsed.message].includes(snippet), 'Value should arrive intact');
+    assert(parsed.context === null || parsed.context === snippet, 'Context should arrive intact');
+    assert(Object.keys(parsed.meta).length === 0, 'Field-like lines must not become fields');
+    assert(raw.split('```').length === 3, 'Embedded fences must be escaped');
+  }
+
+  const response = parse(messages[1]);
+  assert(response.status === 'done' && response.data.log === '```\nTask: x', 'Data strings should arrive intact');
+  assert(parseAll(messages.join('\n\n')).length === messages.length, 'Escaped messages should bundle cleanly');
+
+  const plain = buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-h2', result: 'Line one\nline two' });
+  assert(plain.includes('Result: Line one\nline two\n'), 'Ordinary multi-line values are written unchanged');
+
+  console.log('✓ testHostileValues passed');
+}
+
 // Run all tests
 function runBuilderTests() {
   console.log('\n=== Builder Tests ===');
@@ -173,14 +339,20 @@ function runBuilderTests() {
   try {
     testBuildRequest();
     testBuildResponse();
+    testBuildProgress();
     testBuildClarify();
     testBuildHandoff();
     testBuildBroadcast();
+    testBuildCancel();
     testDepthEnforcement();
     testMissingRequiredFields();
     testGenerateRequestId();
     testDefaultDepth();
     testResponseWithoutResult();
+    testTimingFields();
+    testBuildDiagnostic();
+    testBuildBundle();
+    testHostileValues();
     
     console.log('\n✅ All builder tests passed!\n');
     return true;
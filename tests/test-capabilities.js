@@ -0,0 +1,180 @@
+/**
+ * Capability Tests
+ */
+
+const { validate } = require('../lib/schema.js');
+const { createCapabilityRegistry } = require('../lib/capabilities.js');
+const { buildRequest } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createRouter } = require('../lib/router.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const FORECAST = {
+  description: 'Weather forecast for a city',
+  input: {
+    type: 'object',
+    required: ['city'],
+    properties: {
+      city: { type: 'string', minLength: 1 },
+      days: { type: 'integer', minimum: 1, maximum: 14 },
+      units: { enum: ['metric', 'imperial'] }
+    },
+    additionalProperties: false
+  },
+  output: {
+    type: 'object',
+    required: ['temperatures'],
+    properties: { temperatures: { type: 'array', items: { type: 'number' } } }
+  }
+};
+
+function capabilities() {
+  return createCapabilityRegistry({ Mantis: { forecast: FORECAST } });
+}
+
+function request(fields = {}) {
+  return buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-cp001', task: 'Forecast', capability: 'forecast', ...fields });
+}
+
+function testSchemaValidation() {
+  const schema = FORECAST.input;
+
+  assert(validate({ city: 'Paris', days: 3, units: 'metric' }, schema).length === 0, 'Valid data has no violations');
+  assert(validate(undefined, schema)[0] === 'data: missing', 'Missing data is a violation');
+  assert(validate('Paris', schema)[0] === 'data: expected object, got string', 'Wrong type is reported');
+
+  const violations = validate({ days: 2.5, units: 'kelvin', extra: 1 }, schema);
+  assert(violations.includes('data.city: missing'), 'Required properties are checked');
+  assert(violations.includes('data.days: expected integer, got number'), 'Integers are checked');
+  assert(violations.some(v => v.startsWith('data.units: must be one of')), 'Enums are checked');
+  assert(violations.includes('data.extra: not allowed'), 'additionalProperties: false is enforced');
+
+  assert(validate({ city: '', days: 20 }, schema).join() === 'data.city: shorter than 1 characters,data.days: greater than 14',
+    'Bounds are checked');
+  assert(validate([1, 'two'], { type: 'array', items: { type: 'number' }, maxItems: 1 }).length === 2, 'Arrays are checked');
+  assert(validate('abc', { type: 'string', pattern: '^\\d+$' })[0] === 'data: does not match ^\\d+$', 'Patterns are checked');
+  assert(validate(null, { type: ['string', 'null'] }).length === 0, 'Type lists are accepted');
+
+  console.log('✓ testSchemaValidation passed');
+}
+
+function testRegistry() {
+  const registry = capabilities();
+  registry.declare('Lotbot', 'summarize', { description: 'Summarize text' });
+
+  assert(registry.get('mantis', 'FORECAST').description === FORECAST.description, 'Names are case-insensitive');
+  assert(registry.list('Lotbot').map(c => c.name).join() === 'summarize', 'Capabilities are listed per bot');
+  assert(registry.checkInput('Lotbot', 'summarize', 'anything').ok, 'No input schema accepts anything');
+  assert(registry.checkInput('Clawcos', 'forecast', 42).ok, 'Bots that declared nothing accept anything');
+
+  const unknown = registry.checkInput('Mantis', 'translate', {});
+  assert(!unknown.ok && unknown.violations[0].includes('offers: forecast'), 'Unknown capabilities list what is offered');
+
+  registry.remove('Lotbot');
+  assert(registry.bots().join() === 'mantis', 'Bots can be removed');
+
+  console.log('✓ testRegistry passed');
+}
+
+function testBuilderChecksContract() {
+  const raw = request({ data: { city: 'Paris' }, capabilities: capabilities() });
+  const parsed = parse(raw);
+  assert(parsed.capability === 'forecast', 'Capability should be sent and parsed');
+
+  let error = null;
+  try {
+    request({ data: { city: 7 }, capabilities: capabilities() });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.code === 'SCHEMA_VIOLATION', 'Invalid data should not be sent');
+  assert(error.violations.join() === 'data.city: expected string, got number', 'Error should list violations');
+
+  // Without a registry the builder does not check
+  assert(request({ data: { city: 7 } }).includes('Capability: forecast'), 'Unchecked without a registry');
+
+  console.log('✓ testBuilderChecksContract passed');
+}
+
+async function testRouterChecksInput() {
+  const router = createRouter({
+    botName: 'Mantis',
+    state: createTracker({ store: createMemoryStore() }),
+    capabilities: capabilities()
+  });
+  let calls = 0;
+  router.on('REQUEST', (parsed, ctx) => {
+    calls++;
+    assert(ctx.capability.name === 'forecast', 'Handler should see the contract');
+    return { result: 'Sunny', data: { temperatures: [18, 21] } };
+  });
+
+  const ok = await router.handle(request({ data: { city: 'Paris' } }));
+  assert(ok.handled && parse(ok.reply).status === 'done', 'Valid input should be handled');
+
+  const invalid = await router.handle(request({ requestId: 'lotbot-cp002', data: { city: 'Paris', days: 30 } }));
+  const clarify = parse(invalid.reply);
+  assert(!invalid.handled && invalid.reason === 'invalid-input', 'Invalid input should not be handled');
+  assert(clarify.type === 'CLARIFY' && clarify.question.includes('- data.days: greater than 14'), 'CLARIFY should list violations');
+
+  const lastHop = await router.handle(request({ requestId: 'lotbot-cp003', data: {}, depth: { current: 4, max: 5 } }));
+  const failed = parse(lastHop.reply);
+  assert(failed.type === 'RESPONSE' && failed.status === 'failed' && failed.result.includes('data.city: missing'),
+    'Without depth for a CLARIFY the violations come in a failed RESPONSE');
+
+  const unknown = parse((await router.handle(request({ requestId: 'lotbot-cp004', capability: 'translate' }))).reply);
+  assert(unknown.status === 'failed' && unknown.result.includes('does not offer capability "translate"'),
+    'Unknown capabilities should fail');
+
+  assert(calls === 1, 'Handler should only run for valid input');
+
+  console.log('✓ testRouterChecksInput passed');
+}
+
+async function testRouterChecksOutput() {
+  const router = createRouter({
+    botName: 'Mantis',
+    state: createTracker({ store: createMemoryStore() }),
+    capabilities: capabilities()
+  });
+  router.on('REQUEST', () => ({ result: 'Sunny', data: { temperatures: ['warm'] } }));
+
+  const reply = parse((await router.handle(request({ data: { city: 'Paris' } }))).reply);
+  assert(reply.status === 'failed' && reply.result.includes('data.temperatures[0]: expected number'),
+    'Output that breaks the contract should fail');
+
+  console.log('✓ testRouterChecksOutput passed');
+}
+
+// Run all tests
+async function runCapabilityTests() {
+  console.log('\n=== Capability Tests ===');
+
+  try {
+    testSchemaValidation();
+    testRegistry();
+    testBuilderChecksContract();
+    await testRouterChecksInput();
+    await testRouterChecksOutput();
+
+    console.log('\n✅ All capability tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Capability test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runCapabilityTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runCapabilityTests };
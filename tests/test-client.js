@@ -0,0 +1,343 @@
+/**
+ * Client Tests
+ */
+
+const { createClient } = require('../lib/client.js');
+const { createDaemon } = require('../lib/daemon.js');
+const { createLoopbackBus } = require('../lib/transports.js');
+const { buildResponse, buildProgress, buildClarify } = require('../lib/builder.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+const state = createTracker({ store: createMemoryStore() });
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function setup(handlers) {
+  const bus = createLoopbackBus();
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [bus.connect('mantis')], handlers, checkInterval: 0 });
+  const transport = bus.connect('lotbot');
+  const client = createClient({ botName: 'Lotbot', transport, state });
+  mantis.start();
+
+  return {
+    client,
+    async teardown() {
+      client.close();
+      await mantis.stop();
+      await transport.close();
+    }
+  };
+}
+
+async function testResolvesOnResponse() {
+  const { client, teardown } = setup({
+    REQUEST: parsed => `Weather for ${parsed.task}: 18°C`
+  });
+
+  const response = await client.request({ to: 'Mantis', task: 'Paris', requestId: 'lotbot-cl001' });
+
+  assert(response.type === 'RESPONSE', 'Should resolve with a RESPONSE');
+  assert(response.requestId === 'lotbot-cl001', 'Should match the RequestId');
+  assert(response.result === 'Weather for Paris: 18°C', 'Should carry the result');
+  assert(client.pending().length === 0, 'Nothing should be pending');
+
+  const conv = await state.get('lotbot-cl001');
+  assert(conv.status === 'done' && conv.from === 'Lotbot', 'Outgoing request should be tracked to completion');
+
+  await teardown();
+  console.log('✓ testResolvesOnResponse passed');
+}
+
+async function testRejectsOnFailed() {
+  const { client, teardown } = setup({
+    REQUEST: () => {
+      throw new Error('No weather API');
+    }
+  });
+
+  let error = null;
+  try {
+    await client.request({ to: 'Mantis', task: 'Paris' });
+  } catch (err) {
+    error = err;
+  }
+
+  assert(error && error.code === 'FAILED', 'Should reject with FAILED');
+  assert(error.message.includes('No weather API'), 'Should explain the failure');
+  assert(error.response.status === 'failed', 'Should carry the RESPONSE');
+
+  await teardown();
+  console.log('✓ testRejectsOnFailed passed');
+}
+
+async function testRejectsOnTimeout() {
+  const { client, teardown } = setup({});
+
+  let error = null;
+  try {
+    await client.request({ to: 'Mantis', task: 'Paris', requestId: 'lotbot-cl002' }, { timeout: 30 });
+  } catch (err) {
+    error = err;
+  }
+
+  assert(error && error.code === 'TIMEOUT', 'Should reject with TIMEOUT');
+  const conv = await state.get('lotbot-cl002');
+  assert(conv.status === 'timeout', 'Conversation should be marked as timed out');
+
+  await teardown();
+  console.log('✓ testRejectsOnTimeout passed');
+}
+
+async function testDeadlineBoundsTimeout() {
+  const { client, teardown } = setup({});
+
+  const started = Date.now();
+  let error = null;
+  try {
+    await client.request({ to: 'Mantis', task: 'Paris', requestId: 'lotbot-cl003', deadline: new Date(Date.now() + 50) });
+  } catch (err) {
+    error = err;
+  }
+
+  assert(error && error.code === 'TIMEOUT', 'Should reject at the Deadline');
+  assert(Date.now() - started < 1000, 'Deadline should win over the default timeout');
+  const conv = await state.get('lotbot-cl003');
+  assert(conv.deadline && conv.status === 'timeout', 'Deadline should be tracked');
+
+  await teardown();
+  console.log('✓ testDeadlineBoundsTimeout passed');
+}
+
+async function testClarifyCallback() {
+  const { client, teardown } = setup({
+    REQUEST: () => ({ clarify: 'Which city?' }),
+    RESPONSE: async (parsed, ctx) => {
+      await ctx.send(buildResponse({
+        to: parsed.from,
+        from: 'Mantis',
+        requestId: parsed.requestId,
+        status: 'done',
+        result: `Weather for ${parsed.result}: 18°C`,
+        depth: { current: parsed.depth.current + 1, max: parsed.depth.max }
+      }));
+    }
+  });
+
+  const questions = [];
+  const response = await client.request({ to: 'Mantis', task: 'Check the weather' }, {
+    onClarify: parsed => {
+      questions.push(parsed.question);
+      return 'Paris';
+    }
+  });
+
+  assert(questions.length === 1 && questions[0] === 'Which city?', 'CLARIFY should reach the callback');
+  assert(response.result === 'Weather for Paris: 18°C', 'Should resolve after the answer');
+  assert(response.depth.current === 4, 'Depth should grow across the exchange');
+
+  await teardown();
+  console.log('✓ testClarifyCallback passed');
+}
+
+async function testCloseRejectsPending() {
+  const { client, teardown } = setup({});
+
+  const pending = client.request({ to: 'Mantis', task: 'Paris' }).catch(err => err);
+  await new Promise(resolve => setImmediate(resolve));
+  client.close();
+  const error = await pending;
+
+  assert(error.code === 'CLOSED', 'Pending requests should be rejected on close');
+
+  await teardown();
+  console.log('✓ testCloseRejectsPending passed');
+}
+
+async function testStreamsProgress() {
+  const { client, teardown } = setup({
+    REQUEST: async (parsed, ctx) => {
+      await ctx.progress('Checked Paris', { progress: 50, eta: '1m' });
+      await ctx.progress('Checked Lyon', { progress: 100 });
+      return 'Both cities checked';
+    }
+  });
+
+  const received = [];
+  for await (const response of client.stream({ to: 'Mantis', task: 'Check cities', requestId: 'lotbot-cl010' })) {
+    received.push(response);
+  }
+
+  assert(received.map(r => r.result).join() === 'Checked Paris,Checked Lyon,Both cities checked', 'Updates should arrive before the final result');
+  assert(received[0].seq === 1 && received[0].progress === 50 && received[0].eta === 60 * 1000, 'Updates carry Seq, Progress and ETA');
+  assert(received[2].status === 'done', 'The final RESPONSE comes last');
+
+  const conv = await state.get('lotbot-cl010');
+  assert(conv.status === 'done' && conv.stream.length === 2, 'State should keep the stream');
+
+  await teardown();
+  console.log('✓ testStreamsProgress passed');
+}
+
+async function testProgressOrder() {
+  const sent = [];
+  const client = createClient({ botName: 'Lotbot', send: async text => sent.push(text), state });
+  const update = seq => buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-cl011', seq, result: `Part ${seq}` });
+
+  const updates = [];
+  const done = client.request({ to: 'Mantis', task: 'Report', requestId: 'lotbot-cl011' }, {
+    onProgress: parsed => updates.push(parsed.seq)
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  await client.receive(update(2));
+  assert(updates.length === 0, 'An update that arrives early waits for its turn');
+  await client.receive(update(1));
+  await client.receive(update(1));
+  assert(updates.join() === '1,2', 'Updates are passed on in Seq order, once');
+  await client.receive(update(4));
+  await client.receive(buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-cl011', status: 'done', result: 'All parts' }));
+
+  const response = await done;
+  assert(response.result === 'All parts', 'The final RESPONSE resolves the request');
+  assert(updates.join() === '1,2,4', 'Held updates are passed on before the end');
+
+  const failing = client.stream({ to: 'Mantis', task: 'Report', requestId: 'lotbot-cl012' });
+  const first = failing.next();
+  await new Promise(resolve => setImmediate(resolve));
+  await client.receive(buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-cl012', status: 'failed', result: 'Disk full' }));
+  const error = await first.catch(err => err);
+  assert(error.code === 'FAILED', 'A failed request ends the stream with its error');
+
+  client.close();
+  console.log('✓ testProgressOrder passed');
+}
+
+async function testCancelRequest() {
+  const stopped = [];
+  const { client, teardown } = setup({
+    REQUEST: (parsed, ctx) => new Promise(resolve => {
+      ctx.signal.addEventListener('abort', () => {
+        stopped.push(parsed.requestId);
+        resolve('Too late');
+      });
+    })
+  });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  const first = client.request({ to: 'Mantis', task: 'Slow report', requestId: 'lotbot-cl020' }).catch(err => err);
+  await settle();
+  assert(await client.cancel('lotbot-cl020', 'Changed my mind') === true, 'A pending request can be cancelled');
+  const error = await first;
+  assert(error.code === 'CANCELLED' && error.message === 'Request lotbot-cl020 was cancelled: Changed my mind', 'The request rejects as cancelled');
+  await settle();
+  assert(stopped.join() === 'lotbot-cl020', 'The other bot stops working on it');
+  assert((await state.get('lotbot-cl020')).status === 'cancelled', 'The conversation is cancelled');
+  assert(await client.cancel('lotbot-cl020') === false, 'Only pending requests can be cancelled');
+
+  const controller = new AbortController();
+  const second = client.request({ to: 'Mantis', task: 'Slow report', requestId: 'lotbot-cl021' }, { signal: controller.signal }).catch(err => err);
+  await settle();
+  controller.abort();
+  assert((await second).code === 'CANCELLED', 'Aborting the signal cancels the request');
+  await settle();
+  assert(stopped.join() === 'lotbot-cl020,lotbot-cl021', 'The signal reaches the other bot');
+
+  const early = await client.request({ to: 'Mantis', task: 'Slow report' }, { signal: controller.signal }).catch(err => err);
+  assert(early.code === 'CANCELLED' && client.pending().length === 0, 'An aborted signal sends nothing');
+
+  // Leaving a stream before the result arrives calls off the request
+  const sent = [];
+  const quitter = createClient({ botName: 'Lotbot', send: async text => sent.push(text), state });
+  const updates = quitter.stream({ to: 'Mantis', task: 'Report', requestId: 'lotbot-cl022' });
+  const next = updates.next();
+  await new Promise(resolve => setImmediate(resolve));
+  await quitter.receive(buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-cl022', seq: 1, result: 'Part 1' }));
+  assert((await next).value.result === 'Part 1', 'The update arrives');
+  await updates.return();
+  assert(quitter.pending().length === 0, 'The request is no longer pending');
+  assert(sent.length === 2 && sent[1].includes('[CANCEL → @Mantis]') && sent[1].includes('RequestId: lotbot-cl022'), 'A CANCEL is sent');
+  quitter.close();
+
+  // Errors nobody awaits go to onError
+  const errors = [];
+  const offline = createClient({
+    botName: 'Lotbot',
+    send: async text => {
+      if (text.includes('[CANCEL')) throw new Error('Channel gone');
+    },
+    state,
+    onError: err => errors.push(err.message)
+  });
+  const aborting = new AbortController();
+  const call = offline.request({ to: 'Mantis', task: 'Report', requestId: 'lotbot-cl023' }, { signal: aborting.signal }).catch(err => err);
+  await new Promise(resolve => setImmediate(resolve));
+  aborting.abort();
+  assert((await call).code === 'CANCELLED', 'The request is cancelled');
+  await new Promise(resolve => setImmediate(resolve));
+  assert(errors.join() === 'Channel gone', 'A failed CANCEL is reported through onError');
+  offline.close();
+
+  await teardown();
+  console.log('✓ testCancelRequest passed');
+}
+
+async function testIgnoresOthersInChain() {
+  const sent = [];
+  const client = createClient({ botName: 'Lotbot', send: async text => sent.push(text), state });
+  const questions = [];
+  const done = client.request({ to: 'Mantis', task: 'Check the weather', requestId: 'lotbot-cl030' }, {
+    onClarify: parsed => {
+      questions.push(parsed.question);
+      return 'Paris';
+    }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Mantis handed off to Clawcos; their exchange is about our request but not for us
+  await client.receive(buildClarify({ to: 'Mantis', from: 'Clawcos', requestId: 'lotbot-cl030', question: 'Metric?' }));
+  await client.receive(buildResponse({ to: 'Mantis', from: 'Clawcos', requestId: 'lotbot-cl030', status: 'done', result: 'Yes' }));
+  assert(questions.length === 0 && sent.length === 1, 'A CLARIFY to another bot is not answered');
+  assert(client.pending().includes('lotbot-cl030'), 'A RESPONSE to another bot does not settle the request');
+
+  await client.receive(buildResponse({ to: 'lotbot', from: 'Clawcos', requestId: 'lotbot-cl030', status: 'done', result: '18°C' }));
+  assert((await done).result === '18°C', 'The recipient is matched case-insensitively');
+
+  client.close();
+  console.log('✓ testIgnoresOthersInChain passed');
+}
+
+// Run all tests
+async function runClientTests() {
+  console.log('\n=== Client Tests ===');
+
+  try {
+    await testResolvesOnResponse();
+    await testRejectsOnFailed();
+    await testRejectsOnTimeout();
+    await testDeadlineBoundsTimeout();
+    await testClarifyCallback();
+    await testIgnoresOthersInChain();
+    await testCloseRejectsPending();
+    await testStreamsProgress();
+    await testProgressOrder();
+    await testCancelRequest();
+
+    console.log('\n✅ All client tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Client test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runClientTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runClientTests };
@@ -0,0 +1,212 @@
+/**
+ * Daemon and Transport Tests
+ */
+
+const { PassThrough } = require('stream');
+
+const { createDaemon } = require('../lib/daemon.js');
+const { createLoopbackBus, createStreamTransport, encodeLine, decodeLine } = require('../lib/transports.js');
+const { buildRequest, buildBroadcast, buildBundle } = require('../lib/builder.js');
+const { parse, parseAll } = require('../lib/parser.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+const state = createTracker({ store: createMemoryStore() });
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+async function testLoopbackRoundTrip() {
+  const bus = createLoopbackBus();
+  const lotbot = createDaemon({ botName: 'Lotbot', state, transports: [bus.connect('lotbot')], checkInterval: 0 });
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [bus.connect('mantis')], checkInterval: 0 });
+
+  mantis.handle('REQUEST', async (parsed, ctx) => {
+    assert(ctx.naturalLanguage.includes('check the weather'), 'Handler should get natural language');
+    return '18°C, partly cloudy';
+  });
+
+  const responded = new Promise(resolve => {
+    lotbot.handle('RESPONSE', parsed => {
+      resolve(parsed);
+    });
+  });
+
+  lotbot.start();
+  mantis.start();
+
+  const request = buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-dmn001',
+    task: 'check the weather'
+  });
+  await lotbot.send(request);
+
+  const response = await responded;
+  assert(response.requestId === 'lotbot-dmn001', 'RESPONSE should keep RequestId');
+  assert(response.result === '18°C, partly cloudy', 'RESPONSE should carry handler result');
+  assert(response.depth.current === 2, 'RESPONSE depth should be incremented');
+  assert(bus.history.length === 2, 'Bus should have carried request and response');
+
+  const conv = await state.get('lotbot-dmn001');
+  assert(conv.status === 'done', 'Conversation should be done after reply');
+
+  await lotbot.stop();
+  await mantis.stop();
+
+  console.log('✓ testLoopbackRoundTrip passed');
+}
+
+async function testIgnoresUnaddressed() {
+  const bus = createLoopbackBus();
+  const sender = bus.connect('sender');
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [bus.connect('mantis')], checkInterval: 0 });
+  mantis.handle('REQUEST', () => {
+    throw new Error('Should not be called');
+  });
+  mantis.start();
+
+  const ignored = once(mantis, 'ignored');
+  await sender.send(buildRequest({ to: 'Clawcos', from: 'Lotbot', task: 'not for Mantis' }));
+  const [pre] = await ignored;
+
+  assert(pre.reason === 'not-addressed', 'Should ignore messages for other bots');
+
+  await mantis.stop();
+  console.log('✓ testIgnoresUnaddressed passed');
+}
+
+async function testHandlerErrorReported() {
+  const bus = createLoopbackBus();
+  const sender = bus.connect('sender');
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [bus.connect('mantis')], checkInterval: 0 });
+  mantis.handle('REQUEST', () => {
+    throw new Error('boom');
+  });
+  mantis.handle('BROADCAST', () => {
+    throw new Error('bad broadcast');
+  });
+  mantis.start();
+
+  // REQUEST handler errors are answered with a failed RESPONSE
+  const replied = new Promise(resolve => sender.once('message', resolve));
+  await sender.send(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'explode' }));
+  const failed = parse(await replied);
+
+  assert(failed.type === 'RESPONSE' && failed.status === 'failed', 'Should answer with failed RESPONSE');
+  assert(failed.result === 'boom', 'Failure should carry the error message');
+
+  // Errors for messages that expect no reply are emitted
+  const errored = once(mantis, 'error');
+  await sender.send(buildBroadcast({ from: 'Lotbot', message: 'hello' }));
+  const [err] = await errored;
+
+  assert(err.message === 'bad broadcast', 'Handler errors should be emitted');
+
+  await mantis.stop();
+  console.log('✓ testHandlerErrorReported passed');
+}
+
+async function testBatchedMessages() {
+  const bus = createLoopbackBus();
+  const sender = bus.connect('sender');
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [bus.connect('mantis')], checkInterval: 0 });
+  mantis.handle('REQUEST', parsed => `Done: ${parsed.task}`);
+
+  const post = buildBundle([
+    buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-dmn010', task: 'first' }),
+    buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-dmn011', task: 'second' })
+  ])[0];
+  const replies = parseAll(await mantis.receive(`Two things:\n${post}`, sender));
+
+  assert(replies.length === 2, 'Every message in a post should be handled');
+  assert(replies.map(r => r.result).join() === 'Done: first,Done: second', 'Replies should follow the post order');
+
+  console.log('✓ testBatchedMessages passed');
+}
+
+async function testStreamTransport() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const transport = createStreamTransport({ input, output, name: 'test' });
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [transport], checkInterval: 0 });
+  mantis.handle('REQUEST', parsed => `Done: ${parsed.task}`);
+  mantis.start();
+
+  const written = new Promise(resolve => output.once('data', chunk => resolve(chunk.toString())));
+  input.write(encodeLine(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'ping' })));
+  const line = await written;
+
+  assert(line.endsWith('\n') && line.split('\n').length === 2, 'Reply should be written as a single line');
+  const reply = parse(decodeLine(line.trim()));
+  assert(reply && reply.type === 'RESPONSE', 'Reply should be a RESPONSE');
+  assert(reply.result === 'Done: ping', 'Reply should carry handler result');
+
+  await mantis.stop();
+  assert(decodeLine('plain text') === 'plain text', 'Plain lines should pass through');
+
+  console.log('✓ testStreamTransport passed');
+}
+
+async function testInputEnd() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const transport = createStreamTransport({ input, output, name: 'test' });
+  const mantis = createDaemon({ botName: 'Mantis', state, transports: [transport], checkInterval: 0 });
+  mantis.handle('REQUEST', async parsed => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return `Done: ${parsed.task}`;
+  });
+  mantis.start();
+
+  // Like the CLI: stop as soon as the input ends
+  const stopped = once(transport, 'close').then(() => mantis.stop());
+  const written = [];
+  output.on('data', chunk => written.push(chunk.toString()));
+  input.end(encodeLine(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'last words' })));
+  await stopped;
+
+  const reply = parse(decodeLine(written.join('').trim()));
+  assert(reply && reply.result === 'Done: last words', 'A message received before the input ended is still answered');
+
+  let error = null;
+  await transport.send('too late').catch(err => { error = err; });
+  assert(error && error.message === 'Transport test is closed', 'Nothing can be sent after close()');
+
+  console.log('✓ testInputEnd passed');
+}
+
+// Run all tests
+async function runDaemonTests() {
+  console.log('\n=== Daemon Tests ===');
+
+  try {
+    await testLoopbackRoundTrip();
+    await testIgnoresUnaddressed();
+    await testHandlerErrorReported();
+    await testBatchedMessages();
+    await testStreamTransport();
+    await testInputEnd();
+
+    console.log('\n✅ All daemon tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Daemon test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runDaemonTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runDaemonTests };
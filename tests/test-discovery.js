@@ -0,0 +1,173 @@
+/**
+ * Discovery Tests
+ */
+
+const { buildAnnounce, buildQuery, buildLeave, readDiscovery, createDirectory, createDiscovery } = require('../lib/discovery.js');
+const { createCapabilityRegistry } = require('../lib/capabilities.js');
+const { buildRequest } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createDaemon } = require('../lib/daemon.js');
+const { createLoopbackBus } = require('../lib/transports.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+const { createKeyRegistry } = require('../lib/signing.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const FORECAST = {
+  description: 'Weather forecast for a city',
+  input: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } }
+};
+
+function testMessages() {
+  const announce = parse(buildAnnounce({ from: 'Mantis', version: '1.2.0', capabilities: [{ name: 'forecast', ...FORECAST }, 'summarize'], ttl: '5m' }));
+  assert(announce.type === 'BROADCAST' && announce.message === 'Mantis 1.2.0 is online: forecast, summarize',
+    'Announcements should be readable BROADCASTs');
+
+  const info = readDiscovery(announce);
+  assert(info.kind === 'announce' && info.version === '1.2.0', 'Announcement payload should be read');
+  assert(info.ttl === 5 * 60 * 1000, 'TTL should travel as a duration');
+  assert(info.capabilities[0].input.required[0] === 'city', 'Schemas should travel with capabilities');
+
+  const query = readDiscovery(parse(buildQuery({ from: 'Lotbot', capability: 'forecast' })));
+  assert(query.kind === 'query' && query.capability === 'forecast', 'Queries should name the capability');
+  assert(readDiscovery(parse(buildLeave({ from: 'Mantis' }))).kind === 'leave', 'Leave notices should be read');
+
+  const plain = parse(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'x', data: { discovery: 'announce' } }));
+  assert(readDiscovery(plain) === null, 'Only BROADCASTs are discovery messages');
+
+  let error = null;
+  try {
+    buildAnnounce({ from: 'Mantis', ttl: 'soon' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Invalid ttl: soon', 'An invalid ttl should throw');
+
+  console.log('✓ testMessages passed');
+}
+
+function testDirectory() {
+  const directory = createDirectory({ ttl: 60 * 1000 });
+  directory.record(parse(buildAnnounce({ from: 'Mantis', capabilities: [{ name: 'forecast', ...FORECAST }] })));
+  directory.record(parse(buildAnnounce({ from: 'Clawcos', capabilities: ['summarize'] })));
+
+  assert(directory.peers().length === 2, 'Both peers should be listed');
+  assert(directory.pick('forecast') === 'Mantis', 'Peers are found by capability name');
+  assert(directory.pick('weather') === 'Mantis', 'Peers are found by description');
+  assert(directory.pick('translate') === null, 'Nobody offers translate');
+
+  // Announced schemas let the builder check data for the delegate
+  let threw = false;
+  try {
+    buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Forecast', capability: 'forecast', data: {}, capabilities: directory.capabilities });
+  } catch (err) {
+    threw = err.code === 'SCHEMA_VIOLATION';
+  }
+  assert(threw, 'Directory capabilities should be usable by the builder');
+
+  // With Mantis's key known, an impersonator can neither rewrite nor remove Mantis
+  const keys = createKeyRegistry({ Mantis: { secret: 'mantis-secret' } });
+  const fake = parse(buildAnnounce({ from: 'Mantis', capabilities: ['summarize'] }), { keys });
+  assert(fake.verification === 'forged' && directory.record(fake) === null, 'Forged announcements are ignored');
+  assert(directory.capabilities.list('Mantis').map(c => c.name).join() === 'forecast', 'Announced schemas are kept');
+  directory.record(parse(buildLeave({ from: 'Mantis' }), { keys }));
+  assert(directory.get('Mantis') !== null, 'Forged leave notices are ignored');
+
+  directory.record(parse(buildLeave({ from: 'Clawcos' })));
+  assert(directory.get('Clawcos') === null, 'Leaving peers are removed');
+
+  directory.get('Mantis').expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert(directory.prune().join() === 'Mantis', 'Expired peers are pruned');
+  assert(directory.pick('forecast') === null && directory.capabilities.list('Mantis').length === 0,
+    'Expired capabilities are forgotten');
+
+  console.log('✓ testDirectory passed');
+}
+
+async function testQueries() {
+  const sent = [];
+  const mantis = createDiscovery({
+    botName: 'Mantis',
+    version: '1.2.0',
+    capabilities: createCapabilityRegistry({ Mantis: { forecast: FORECAST } }),
+    send: async text => sent.push(text)
+  });
+
+  assert(await mantis.observe(parse(buildQuery({ from: 'Lotbot', capability: 'translate' }))) === null,
+    'Queries we cannot help with are not answered');
+
+  const query = parse(buildQuery({ from: 'Lotbot', capability: 'forecast' }));
+  const answer = readDiscovery(parse(await mantis.observe(query)));
+  assert(answer.kind === 'announce' && answer.inReplyTo === query.requestId, 'Matching queries get an announcement');
+  assert(await mantis.observe(parse(buildQuery({ from: 'Lotbot' }))) !== null, 'Everyone answers "who is online?"');
+  assert(sent.length === 2, 'Answers should be sent');
+
+  console.log('✓ testQueries passed');
+}
+
+async function testDaemonDiscovery() {
+  const bus = createLoopbackBus();
+  const state = createTracker({ store: createMemoryStore() });
+  const lotbot = createDaemon({
+    botName: 'Lotbot',
+    state,
+    transports: [bus.connect('lotbot')],
+    checkInterval: 0,
+    discovery: createDiscovery({ botName: 'Lotbot' })
+  });
+  const mantis = createDaemon({
+    botName: 'Mantis',
+    state,
+    transports: [bus.connect('mantis')],
+    checkInterval: 0,
+    discovery: createDiscovery({ botName: 'Mantis', version: '1.2.0', capabilities: [{ name: 'forecast', ...FORECAST }] })
+  });
+
+  lotbot.start();
+  const announced = new Promise(resolve => lotbot.once('message', resolve));
+  mantis.start();
+  await announced;
+
+  const peer = lotbot.discovery.directory.get('Mantis');
+  assert(peer && peer.version === '1.2.0', 'Announcement on start should reach peers');
+  assert(lotbot.discovery.directory.pick('forecast') === 'Mantis', 'Lotbot can pick Mantis for forecasts');
+
+  const left = new Promise(resolve => lotbot.once('message', resolve));
+  await mantis.stop();
+  await left;
+  assert(lotbot.discovery.directory.get('Mantis') === null, 'Stopping should say goodbye');
+
+  await lotbot.stop();
+
+  console.log('✓ testDaemonDiscovery passed');
+}
+
+// Run all tests
+async function runDiscoveryTests() {
+  console.log('\n=== Discovery Tests ===');
+
+  try {
+    testMessages();
+    testDirectory();
+    await testQueries();
+    await testDaemonDiscovery();
+
+    console.log('\n✅ All discovery tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Discovery test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runDiscoveryTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runDiscoveryTests };
@@ -0,0 +1,160 @@
+/**
+ * Middleware Tests
+ */
+
+const { preprocessMessage, postprocessResponse, isAddressedTo } = require('../lib/middleware.js');
+const { buildRequest, buildClarify, buildBroadcast, buildResponse } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+const state = createTracker({ store: createMemoryStore() });
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testInterceptsRequest() {
+  const raw = buildRequest({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'mantis-mw001',
+    task: 'Check weather in Paris',
+    context: 'Travel planning',
+    depth: { current: 1, max: 5 }
+  });
+
+  const pre = await preprocessMessage(raw, { botName: 'Lotbot', state });
+
+  assert(pre.intercepted === true, 'Should intercept REQUEST addressed to us');
+  assert(pre.naturalLanguage.startsWith('Mantis is asking you to: Check weather in Paris'), 'Should translate task');
+  assert(pre.naturalLanguage.includes('Context: Travel planning'), 'Should include context');
+  assert(pre.metadata.requestId === 'mantis-mw001', 'Metadata should carry RequestId');
+  assert(pre.metadata.originalSender === 'Mantis', 'Metadata should carry sender');
+  assert(pre.metadata.depth.current === 1, 'Metadata should carry depth');
+
+  const conv = await state.get('mantis-mw001');
+  assert(conv && conv.status === 'open', 'Should track the conversation');
+
+  console.log('✓ testInterceptsRequest passed');
+}
+
+async function testIgnoresOthers() {
+  const toOther = buildRequest({ to: 'Clawcos', from: 'Mantis', task: 'Not for us' });
+  const own = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Our own message' });
+
+  const a = await preprocessMessage(toOther, { botName: 'Lotbot', track: false });
+  const b = await preprocessMessage(own, { botName: 'Lotbot', track: false });
+  const c = await preprocessMessage('just chatting', { botName: 'Lotbot', track: false });
+
+  assert(a.intercepted === false && a.reason === 'not-addressed', 'Should ignore messages for other bots');
+  assert(b.intercepted === false && b.reason === 'own-message', 'Should ignore own messages');
+  assert(c.intercepted === false && c.reason === 'not-protocol', 'Should ignore non-protocol text');
+
+  console.log('✓ testIgnoresOthers passed');
+}
+
+async function testBroadcastAddressedToAll() {
+  const raw = buildBroadcast({ from: 'Mantis', message: 'Going offline' });
+  const pre = await preprocessMessage({ content: raw }, { botName: 'Lotbot', track: false });
+
+  assert(isAddressedTo(parse(raw), 'Lotbot'), '@all should address every bot');
+  assert(pre.intercepted === true, 'Should intercept BROADCAST');
+  assert(pre.naturalLanguage === 'Mantis announced to all bots: Going offline', 'Should translate broadcast');
+  assert(postprocessResponse('ok', pre.metadata) === null, 'BROADCAST expects no reply');
+
+  console.log('✓ testBroadcastAddressedToAll passed');
+}
+
+async function testPostprocessResponse() {
+  const raw = buildRequest({
+    to: 'Lotbot',
+    from: 'Mantis',
+    task: 'Check weather',
+    depth: { current: 2, max: 5 }
+  });
+  const pre = await preprocessMessage(raw, { botName: 'Lotbot', track: false });
+  const reply = parse(postprocessResponse('18°C, partly cloudy', pre.metadata));
+
+  assert(reply.type === 'RESPONSE', 'Plain reply should become RESPONSE');
+  assert(reply.to === 'Mantis', 'RESPONSE should go back to sender');
+  assert(reply.from === 'Lotbot', 'RESPONSE should come from us');
+  assert(reply.requestId === pre.metadata.requestId, 'RESPONSE should keep RequestId');
+  assert(reply.status === 'done', 'Status should default to done');
+  assert(reply.result === '18°C, partly cloudy', 'Result should be the agent reply');
+  assert(reply.depth.current === 3 && reply.depth.max === 5, 'Depth should be incremented');
+
+  console.log('✓ testPostprocessResponse passed');
+}
+
+async function testPostprocessClarify() {
+  const raw = buildRequest({ to: 'Lotbot', from: 'Mantis', task: 'Check weather' });
+  const pre = await preprocessMessage(raw, { botName: 'Lotbot', track: false });
+  const clarify = parse(postprocessResponse({ question: 'Which city?' }, pre.metadata));
+
+  assert(clarify.type === 'CLARIFY', 'Question should become CLARIFY');
+  assert(clarify.question === 'Which city?', 'Question should match');
+  assert(clarify.depth.current === 2, 'Depth should be incremented');
+
+  console.log('✓ testPostprocessClarify passed');
+}
+
+async function testPostprocessAtMaxDepth() {
+  const raw = buildClarify({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-mw002',
+    question: 'Which city?',
+    depth: { current: 4, max: 5 }
+  });
+  const pre = await preprocessMessage(raw, { botName: 'Lotbot', track: false });
+  const answer = parse(postprocessResponse('Paris', pre.metadata));
+
+  assert(answer.type === 'RESPONSE', 'Answer to CLARIFY should be a RESPONSE');
+  assert(answer.status === null, 'Answer should not close the request');
+  assert(answer.depth.current === 5, 'Depth should reach the limit');
+
+  const atMax = buildResponse({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-mw003',
+    result: 'n/a',
+    depth: { current: 5, max: 5 }
+  });
+  const metadata = { ...pre.metadata, type: 'REQUEST', depth: parse(atMax).depth };
+  const closing = parse(postprocessResponse({ question: 'Which city?' }, metadata));
+
+  assert(closing.type === 'RESPONSE' && closing.status === 'partial', 'Question at max depth should become partial RESPONSE');
+  assert(closing.depth.current === 5, 'Depth should not exceed the limit');
+
+  console.log('✓ testPostprocessAtMaxDepth passed');
+}
+
+// Run all tests
+async function runMiddlewareTests() {
+  console.log('\n=== Middleware Tests ===');
+
+  try {
+    await testInterceptsRequest();
+    await testIgnoresOthers();
+    await testBroadcastAddressedToAll();
+    await testPostprocessResponse();
+    await testPostprocessClarify();
+    await testPostprocessAtMaxDepth();
+
+    console.log('\n✅ All middleware tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Middleware test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runMiddlewareTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runMiddlewareTests };
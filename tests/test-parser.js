@@ -2,7 +2,7 @@
  * Parser Tests
  */
 
-const { parse } = require('../lib/parser.js');
+const { parse, parseAll, parseDetailed } = require('../lib/parser.js');
 
 function assert(condition, message) {
   if (!condition) {
@@ -191,6 +191,176 @@ Depth: 1/5
   console.log('✓ testBroadcast passed');
 }
 
+function testCancel() {
+  const raw = `\`\`\`
+[CANCEL → @Mantis]
+Protocol: 0.2
+From: Lotbot
+RequestId: lotbot-abc123
+Reason: Found the answer elsewhere
+\`\`\``;
+
+  const parsed = parse(raw);
+
+  assert(parsed !== null, 'Should parse CANCEL');
+  assert(parsed.type === 'CANCEL', 'Type should be CANCEL');
+  assert(parsed.reason === 'Found the answer elsewhere', 'Reason should match');
+  assert(parse(raw.replace(/Reason: .*\n/, '')).reason === null, 'Reason is optional');
+  assert(parse(raw.replace(/RequestId: .*\n/, '')) === null, 'CANCEL requires RequestId');
+
+  const v0_1 = raw.replace('Protocol: 0.2\n', '').replace('Reason', 'Context');
+  assert(parse(v0_1) !== null, 'Lenient mode accepts a CANCEL without Protocol');
+  assert(parse(v0_1, { mode: 'strict' }) === null, 'CANCEL is not part of protocol 0.1');
+
+  console.log('✓ testCancel passed');
+}
+
+function testTimeoutAndDeadline() {
+  const raw = `\`\`\`
+[REQUEST → @Mantis]
+From: Lotbot
+RequestId: lotbot-abc123
+Task: Do something
+Depth: 1/5
+Priority: high
+Timeout: 15m
+Deadline: 2026-03-01T12:00:00Z
+Attempt: 2
+\`\`\``;
+
+  const parsed = parse(raw);
+
+  assert(parsed.timeout === 15 * 60 * 1000, 'Timeout should be parsed to milliseconds');
+  assert(parsed.deadline === '2026-03-01T12:00:00.000Z', 'Deadline should be an ISO timestamp');
+  assert(parsed.attempt === 2, 'Attempt should be a number');
+
+  const invalid = parse(raw.replace('Timeout: 15m', 'Timeout: soon').replace('2026-03-01T12:00:00Z', 'tomorrow'));
+  assert(invalid !== null, 'Invalid timing fields should not reject the message');
+  assert(invalid.timeout === null && invalid.deadline === null, 'Invalid timing fields should be null');
+
+  console.log('✓ testTimeoutAndDeadline passed');
+}
+
+function testProgressFields() {
+  const raw = `\`\`\`
+[RESPONSE → @Lotbot]
+From: Mantis
+RequestId: lotbot-abc123
+Status: partial
+Seq: 3
+Progress: 62.5%
+ETA: 2m
+Result: Most of it
+\`\`\``;
+
+  const parsed = parse(raw);
+  assert(parsed.seq === 3, 'Seq should be a number');
+  assert(parsed.progress === 62.5, 'Progress should be a percentage');
+  assert(parsed.eta === 2 * 60 * 1000, 'ETA should be parsed to milliseconds');
+
+  const { parsed: invalid, warnings } = parseDetailed(raw.replace('Seq: 3', 'Seq: third').replace('62.5%', '120%'));
+  assert(invalid.seq === null && invalid.progress === null, 'Invalid progress fields should be null');
+  assert(warnings.map(w => w.field).join() === 'Seq,Progress', 'Invalid progress fields should be reported');
+
+  console.log('✓ testProgressFields passed');
+}
+
+function testParseDetailed() {
+  const raw = `Hey Mantis, can you do this?
+\`\`\`
+[REQUEST → @Mantis]
+From: Lotbot
+RequestId: lotbot-abc123
+Depth: five
+Priority: urgent
+\`\`\``;
+
+  const detailed = parseDetailed(raw);
+  assert(detailed.parsed === null, 'Missing Task should reject the message');
+  assert(detailed.errors.length === 1, 'Only the missing Task is an error');
+
+  const [missing] = detailed.errors;
+  assert(missing.code === 'MISSING_FIELD' && missing.field === 'Task', 'Error should name the field');
+  assert(missing.message === 'REQUEST requires Task', 'Error should say what is wrong');
+
+  const codes = detailed.warnings.map(w => `${w.code}:${w.field}:${w.line}`);
+  assert(codes.join() === 'INVALID_VALUE:Depth:6,INVALID_VALUE:Priority:7', 'Warnings should carry field and raw line number');
+  assert(detailed.partial.from === 'Lotbot' && detailed.partial.requestId === 'lotbot-abc123', 'Partial message should be readable');
+
+  assert(parseDetailed('no block').errors[0].code === 'NO_CODE_BLOCK', 'Missing code block');
+  assert(parseDetailed(null).errors[0].code === 'NOT_TEXT', 'Missing text');
+
+  const header = parseDetailed('```\nREQUEST to Mantis\nFrom: Lotbot\n```').errors[0];
+  assert(header.code === 'BAD_HEADER' && header.line === 2, 'Bad header should point at its line');
+  assert(parseDetailed('```\n[PING → @Mantis]\n```').errors[0].code === 'UNKNOWN_TYPE', 'Unknown type');
+
+  const ok = parseDetailed(raw.replace('Priority: urgent', 'Task: Check'));
+  assert(ok.parsed !== null && ok.errors.length === 0 && ok.parsed.task === 'Check', 'Valid messages parse');
+
+  console.log('✓ testParseDetailed passed');
+}
+
+function testStrictDiagnostics() {
+  const raw = `\`\`\`
+[RESPONSE → @Lotbot]
+From: Mantis
+RequestId: lotbot-abc123
+Status: finished
+Mood: cheerful
+Timeout: 5m
+\`\`\``;
+
+  const detailed = parseDetailed(raw, { mode: 'strict' });
+  const codes = detailed.errors.map(e => `${e.code}:${e.field}`).sort();
+  assert(codes.join() === 'FIELD_NOT_IN_VERSION:Timeout,INVALID_VALUE:Status,MISSING_FIELD:Status, Result or Data,UNKNOWN_FIELD:Mood',
+    'Strict mode should report every problem');
+
+  const future = parseDetailed(raw.replace('From: Mantis', 'Protocol: 7.0\nFrom: Mantis'), { mode: 'strict' });
+  assert(future.errors[0].code === 'UNSUPPORTED_VERSION' && future.errors[0].line === 3, 'Unsupported version');
+
+  console.log('✓ testStrictDiagnostics passed');
+}
+
+function testParseAll() {
+  const response = `\`\`\`
+[RESPONSE → @Lotbot]
+From: Mantis
+RequestId: lotbot-abc123
+Status: done
+Result: v2.1
+\`\`\``;
+  const request = `\`\`\`protocol
+[REQUEST → @Lotbot]
+From: Mantis
+RequestId: mantis-def456
+Task: Upgrade the CLI
+\`\`\``;
+  const raw = `Here is the old config:
+\`\`\`js
+module.exports = { cli: '2.0' };
+\`\`\`
+${response}
+and a follow-up:
+${request}`;
+
+  const all = parseAll(raw);
+  assert(all.length === 2, 'Both protocol messages should be found');
+  assert(all[0].type === 'RESPONSE' && all[1].type === 'REQUEST', 'Messages should be in order');
+  assert(all[1].task === 'Upgrade the CLI', 'A ```protocol fence should be read');
+  assert(all[0].raw === response, 'raw should be the message own block');
+  assert(raw.slice(all[1].position.start, all[1].position.end) === request, 'Positions should locate each block');
+  assert(all[0].position.line === 5, 'Position should include the line of the fence');
+
+  assert(parse(raw).requestId === 'lotbot-abc123', 'parse() returns the first valid message');
+  assert(parse(raw).raw === response, 'parse() also gives the block, not the whole text, as raw');
+  assert(parseAll('no protocol here').length === 0, 'No blocks, no messages');
+
+  const detailed = parseDetailed(raw.replace('Status: done\nResult: v2.1\n', '').replace(request, ''));
+  assert(detailed.errors[0].code === 'MISSING_FIELD', 'Diagnostics should come from the block that got furthest');
+
+  console.log('✓ testParseAll passed');
+}
+
 // Run all tests
 function runParserTests() {
   console.log('\n=== Parser Tests ===');
@@ -206,6 +376,12 @@ function runParserTests() {
     testNoCodeBlock();
     testUnknownFields();
     testBroadcast();
+    testCancel();
+    testTimeoutAndDeadline();
+    testProgressFields();
+    testParseDetailed();
+    testStrictDiagnostics();
+    testParseAll();
     
     console.log('\n✅ All parser tests passed!\n');
     return true;
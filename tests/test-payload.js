@@ -0,0 +1,125 @@
+/**
+ * Payload Tests
+ */
+
+const { encodePayload, decodePayload } = require('../lib/payload.js');
+const { buildRequest, buildResponse } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createRouter } = require('../lib/router.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const FORECAST = { city: 'Paris', days: [1, 2, 3], units: 'metric', alerts: null, detailed: true };
+
+function testRoundTrip() {
+  const raw = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Forecast', data: FORECAST, context: 'Trip' });
+  const parsed = parse(raw);
+
+  assert(raw.includes('Data: {\n  "city": "Paris",'), 'Data should be readable, indented JSON');
+  assert(JSON.stringify(parsed.data) === JSON.stringify(FORECAST), 'Data should decode to the same value');
+  assert(parsed.context === 'Trip', 'Fields after Data should still parse');
+  assert(parsed.dataError === null, 'No error for a valid payload');
+  assert(parse(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'x' })).data === undefined, 'No Data field means undefined');
+
+  const response = parse(buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-pl001', data: [18, 'sunny'] }));
+  assert(response !== null && response.data[1] === 'sunny', 'A RESPONSE may carry only Data');
+
+  for (const value of [0, false, 'text', [], { a: { b: [null] } }]) {
+    assert(JSON.stringify(decodePayload(encodePayload(value))) === JSON.stringify(value), `Round trip of ${JSON.stringify(value)}`);
+  }
+
+  console.log('✓ testRoundTrip passed');
+}
+
+function testMalformedPayload() {
+  const raw = `\`\`\`
+[REQUEST → @Mantis]
+From: Lotbot
+RequestId: lotbot-pl002
+Task: Forecast
+Data: {
+  "city": "Paris",
+  days: 3
+}
+Depth: 1/5
+\`\`\``;
+
+  const parsed = parse(raw);
+  assert(parsed !== null, 'Message with a bad payload should still parse');
+  assert(parsed.data === null, 'Bad payload should not be decoded');
+  assert(parsed.dataError.startsWith('Invalid Data payload:') && parsed.dataError.includes('line 3'), 'Error should say where');
+
+  let error = null;
+  try {
+    decodePayload('[1, 2');
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.code === 'INVALID_PAYLOAD', 'decodePayload should throw INVALID_PAYLOAD');
+
+  const circular = {};
+  circular.self = circular;
+  let threw = false;
+  try {
+    buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'x', data: circular });
+  } catch (err) {
+    threw = err.code === 'INVALID_PAYLOAD';
+  }
+  assert(threw, 'Builder should reject data that cannot be serialized');
+
+  console.log('✓ testMalformedPayload passed');
+}
+
+async function testRouterPayloads() {
+  const state = createTracker({ store: createMemoryStore() });
+  const router = createRouter({ botName: 'Mantis', state });
+  let calls = 0;
+  router.on('REQUEST', (parsed) => {
+    calls++;
+    return { result: 'Forecast ready', data: { city: parsed.data.city, temps: [18, 20] } };
+  });
+
+  const ok = parse((await router.handle(buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Forecast', data: FORECAST }))).reply);
+  assert(ok.result === 'Forecast ready' && ok.data.temps[1] === 20, 'Handler data should become a Data field');
+
+  const bad = buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-pl003', task: 'Forecast', data: FORECAST })
+    .replace('"units": "metric",', '"units": metric,');
+  const outcome = await router.handle(bad);
+  const reply = parse(outcome.reply);
+
+  assert(calls === 1, 'Handler should not run for a malformed payload');
+  assert(outcome.reason === 'invalid-payload', 'Outcome should report the payload problem');
+  assert(reply.status === 'failed' && reply.result.startsWith('Invalid Data payload'), 'Sender should get a failed RESPONSE');
+
+  console.log('✓ testRouterPayloads passed');
+}
+
+// Run all tests
+async function runPayloadTests() {
+  console.log('\n=== Payload Tests ===');
+
+  try {
+    testRoundTrip();
+    testMalformedPayload();
+    await testRouterPayloads();
+
+    console.log('\n✅ All payload tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Payload test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runPayloadTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runPayloadTests };
@@ -0,0 +1,147 @@
+/**
+ * Policy Tests
+ */
+
+const { createPolicy } = require('../lib/policy.js');
+const { createRouter } = require('../lib/router.js');
+const { buildRequest, buildResponse, buildHandoff } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function request(from, task, requestId) {
+  return buildRequest({ to: 'Mantis', from, requestId, task });
+}
+
+function testAllowlist() {
+  const policy = createPolicy({
+    defaultAction: 'deny',
+    rules: [
+      { action: 'deny', task: /rm -rf/, reason: 'Destructive tasks are never allowed' },
+      { action: 'allow', from: ['Lotbot', 'Clawcos'] },
+      { action: 'allow', type: 'BROADCAST' }
+    ]
+  });
+
+  assert(policy.check(parse(request('Lotbot', 'Check weather'))).allowed, 'Listed sender should be allowed');
+  assert(policy.check(parse(request('clawcos', 'Check weather'))).allowed, 'Names should match case-insensitively');
+
+  const stranger = policy.check(parse(request('Stranger', 'Check weather')));
+  assert(!stranger.allowed && stranger.reason === 'Stranger is not allowed to send REQUEST (task: Check weather)', 'Unlisted sender should be denied with a reason');
+
+  const destructive = policy.check(parse(request('Lotbot', 'Run rm -rf /tmp/cache')));
+  assert(!destructive.allowed && destructive.reason === 'Destructive tasks are never allowed', 'First matching rule should win');
+
+  console.log('✓ testAllowlist passed');
+}
+
+function testTypesAndVerification() {
+  const policy = createPolicy()
+    .deny({ type: 'HANDOFF', from: 'Clawcos' })
+    .deny({ verification: 'forged', reason: 'Signature check failed' })
+    .allow({ task: 'weather' });
+
+  const handoff = parse(buildHandoff({ to: 'Mantis', from: 'Clawcos', requestId: 'lotbot-po003', task: 'x' }));
+  assert(!policy.check(handoff).allowed, 'Rules should match by type');
+
+  const forged = { ...parse(request('Lotbot', 'Check weather')), verification: 'forged' };
+  assert(policy.check(forged).reason === 'Signature check failed', 'Rules should match by verification');
+
+  assert(policy.check(parse(request('Anyone', 'Anything'))).allowed, 'Default action should be allow');
+
+  let threw = false;
+  try {
+    createPolicy({ rules: [{ from: 'Lotbot' }] });
+  } catch (err) {
+    threw = err.message.includes('needs an action');
+  }
+  assert(threw, 'Rules without an action should be rejected');
+
+  console.log('✓ testTypesAndVerification passed');
+}
+
+async function testRateLimit() {
+  const policy = createPolicy({ rateLimit: { max: 2, windowMs: 50, senders: { Clawcos: 1 } } });
+
+  assert(policy.check(parse(request('Lotbot', 'a'))).allowed, 'First message should pass');
+  assert(policy.check(parse(request('Lotbot', 'b'))).allowed, 'Second message should pass');
+  const third = policy.check(parse(request('Lotbot', 'c')));
+  assert(!third.allowed && third.reason.startsWith('Rate limit exceeded for Lotbot'), 'Third message should be limited');
+
+  assert(policy.check(parse(request('Clawcos', 'a'))).allowed, 'Limits are per sender');
+  assert(!policy.check(parse(request('Clawcos', 'b'))).allowed, 'Per-sender overrides should apply');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert(policy.check(parse(request('Lotbot', 'd'))).allowed, 'Window should slide');
+
+  policy.reset('Clawcos');
+  assert(policy.check(parse(request('Clawcos', 'c'))).allowed, 'reset() should clear a sender');
+
+  console.log('✓ testRateLimit passed');
+}
+
+async function testRouterDeniesWithFailedResponse() {
+  const state = createTracker({ store: createMemoryStore() });
+  const policy = createPolicy({ defaultAction: 'deny', rules: [{ action: 'allow', from: 'Lotbot' }] });
+  const router = createRouter({ botName: 'Mantis', state, policy });
+  let calls = 0;
+  router.on('REQUEST', () => {
+    calls++;
+    return 'ok';
+  });
+  router.on('RESPONSE', () => {
+    calls++;
+  });
+
+  const denied = await router.handle(request('Stranger', 'Check weather', 'stranger-po001'));
+  const reply = parse(denied.reply);
+
+  assert(calls === 0, 'Handler should not run for denied messages');
+  assert(!denied.handled && denied.reason === 'denied', 'Outcome should report the denial');
+  assert(reply.type === 'RESPONSE' && reply.status === 'failed', 'Denied REQUEST should get a failed RESPONSE');
+  assert(reply.to === 'Stranger' && reply.result === denied.denial, 'RESPONSE should explain the denial to the sender');
+  assert(await state.get('stranger-po001') === null, 'Denied messages should not be stored');
+
+  const events = [];
+  state.on('opened', conv => events.push(conv.requestId));
+  await router.handle(request('Stranger', 'Check weather', 'stranger-po003'));
+  assert(events.length === 0, 'Denied messages should emit no lifecycle events');
+
+  const noReply = await router.handle(buildResponse({ to: 'Mantis', from: 'Stranger', requestId: 'mantis-po002', status: 'done' }));
+  assert(noReply.reason === 'denied' && noReply.reply === null, 'Denied RESPONSE should just be dropped');
+
+  assert((await router.handle(request('Lotbot', 'Check weather'))).handled && calls === 1, 'Allowed sender should be handled');
+
+  console.log('✓ testRouterDeniesWithFailedResponse passed');
+}
+
+// Run all tests
+async function runPolicyTests() {
+  console.log('\n=== Policy Tests ===');
+
+  try {
+    testAllowlist();
+    testTypesAndVerification();
+    await testRateLimit();
+    await testRouterDeniesWithFailedResponse();
+
+    console.log('\n✅ All policy tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Policy test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runPolicyTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runPolicyTests };
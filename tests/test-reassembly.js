@@ -0,0 +1,255 @@
+/**
+ * Chunking and Reassembly Tests
+ */
+
+const { buildRequest, buildResponse, buildProgress, buildBroadcast, buildChunks, PLATFORM_LIMITS } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createReassembler } = require('../lib/reassembly.js');
+const { createRouter } = require('../lib/router.js');
+const { preprocessMessage } = require('../lib/middleware.js');
+const { createDaemon } = require('../lib/daemon.js');
+const { createClient } = require('../lib/client.js');
+const { createLoopbackBus } = require('../lib/transports.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A long result full of things that must survive splitting
+const LONG_RESULT = [
+  'Report:',
+  'Note: this line looks like a field',
+  '```js\nconst a = `b`;\n```',
+  'trailing spaces   ',
+  '  indented line',
+  '|starts with a bar',
+  '\\starts with a backslash',
+  'emoji 🌦️ and ü',
+  'word '.repeat(700).trim()
+].join('\n');
+
+function longResponse(requestId = 'lotbot-ch001') {
+  return buildResponse({ to: 'Lotbot', from: 'Mantis', requestId, status: 'done', result: LONG_RESULT, data: { note: '```' } });
+}
+
+function testBuildChunks() {
+  const raw = longResponse();
+
+  for (const maxLength of [PLATFORM_LIMITS.discord, 400, 160]) {
+    const parts = buildChunks(raw, { maxLength });
+    assert(parts.length > 1, `A ${raw.length} character message should be split for ${maxLength}`);
+    assert(parts.every(p => p.length <= maxLength), 'Every part should fit the limit');
+
+    const parsed = parts.map(p => parse(p));
+    assert(parsed.every(p => p && p.type === 'RESPONSE' && p.requestId === 'lotbot-ch001'), 'Parts keep type and RequestId');
+    assert(parsed.every((p, i) => p.part.index === i + 1 && p.part.total === parts.length), 'Parts are numbered');
+    assert(parsed.map(p => p.chunk).join('') === raw, 'Chunks join back to the original text');
+  }
+
+  const short = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Short' });
+  assert(buildChunks(short).length === 1 && buildChunks(short)[0] === short, 'A message that fits is sent as is');
+
+  const attempts = [
+    [() => buildChunks('x'.repeat(3000)), 'Only a single protocol message can be split into parts'],
+    [() => buildChunks(raw, { maxLength: 100 }), 'A 100 character limit leaves no room for message parts'],
+    [() => buildChunks(buildChunks(raw)[0], { maxLength: 150 }), 'A message part cannot be split again']
+  ];
+  for (const [attempt, expected] of attempts) {
+    let error = null;
+    try {
+      attempt();
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message === expected, `Should throw "${expected}"`);
+  }
+
+  console.log('✓ testBuildChunks passed');
+}
+
+function testPartParsing() {
+  const [first] = buildChunks(longResponse(), { maxLength: 400 });
+  const parsed = parse(first);
+  assert(parsed.status === null && parsed.result === null, 'A part carries no fields of the whole message');
+
+  assert(/^[0-9a-f]{12}$/.test(parsed.part.id), 'A part carries the id of its message');
+
+  const broken = parse(first.replace(/Part: \d+\/(\d+)/, 'Part: 0/$1'));
+  assert(broken === null, 'A part with an invalid Part is not a valid message');
+
+  const noChunk = first.replace(/Chunk: [\s\S]*```$/, '```');
+  assert(parse(noChunk) === null, 'A part needs a Chunk');
+
+  console.log('✓ testPartParsing passed');
+}
+
+async function testReassembler() {
+  const raw = longResponse();
+  const parts = buildChunks(raw, { maxLength: 400 }).map(p => parse(p));
+  const reassembler = createReassembler();
+
+  // Reversed, with a duplicate in the middle
+  const order = [...parts].reverse();
+  order.splice(2, 0, order[1]);
+  const results = order.map(p => reassembler.add(p));
+
+  assert(results.slice(0, -1).every(r => r === null), 'Nothing is returned before the last part');
+  assert(results[results.length - 1] === raw, 'The last part completes the original text');
+  assert(reassembler.pending().length === 0, 'Completed sets are cleared');
+  assert(reassembler.add(parts[0]) === null && reassembler.pending().length === 0, 'Late copies start no new set');
+
+  // A split progress update, then the split final RESPONSE under the same RequestId
+  const progress = buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ch003', seq: 1, result: LONG_RESULT });
+  const final = longResponse('lotbot-ch003');
+  const progressParts = buildChunks(progress, { maxLength: 400 }).map(p => parse(p));
+  const finalParts = buildChunks(final, { maxLength: 400 }).map(p => parse(p));
+  assert(progressParts[0].part.id !== finalParts[0].part.id, 'Different messages get different part ids');
+  assert(progressParts.map(p => reassembler.add(p)).pop() === progress, 'The split progress update completes');
+  assert(finalParts.map(p => reassembler.add(p)).pop() === final, 'A later split message with the same RequestId completes too');
+
+  const other = buildChunks(longResponse('lotbot-ch002'), { maxLength: 400 }).map(p => parse(p));
+  reassembler.add(other[0]);
+  const [pending] = reassembler.pending();
+  assert(pending.requestId === 'lotbot-ch002' && pending.received === 1 && pending.total === other.length, 'Incomplete sets are listed');
+
+  const quick = createReassembler({ timeout: 10 });
+  quick.add(other[0]);
+  await sleep(20);
+  const expired = quick.prune();
+  assert(expired.length === 1 && expired[0].requestId === 'lotbot-ch002', 'Incomplete sets time out');
+  assert(quick.pending().length === 0, 'Timed out sets are dropped');
+
+  let threw = false;
+  try {
+    reassembler.add(parse(raw));
+  } catch (err) {
+    threw = err.message === 'reassembler.add requires a parsed message part';
+  }
+  assert(threw, 'Only parts can be added');
+
+  console.log('✓ testReassembler passed');
+}
+
+async function testRouterReassembly() {
+  const state = createTracker({ store: createMemoryStore() });
+  const router = createRouter({ botName: 'Mantis', state });
+  const tasks = [];
+  router.on('REQUEST', parsed => {
+    tasks.push(parsed.task);
+    return 'ok';
+  });
+
+  const raw = buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-ch003', task: LONG_RESULT });
+  const parts = buildChunks(raw, { maxLength: 500 });
+
+  for (const part of parts.slice(1)) {
+    const outcome = await router.handle(part);
+    assert(!outcome.handled && outcome.reason === 'incomplete', 'Parts wait for the rest');
+  }
+  assert(await state.get('lotbot-ch003') === null, 'Parts are not tracked on their own');
+
+  const outcome = await router.handle(parts[0]);
+  assert(outcome.handled && outcome.parsed.task === LONG_RESULT, 'The whole message is handled');
+  assert(tasks.length === 1, 'The handler runs once');
+  assert((await state.get('lotbot-ch003')).status === 'done', 'The whole message is tracked');
+
+  const own = buildChunks(buildRequest({ to: 'Lotbot', from: 'Mantis', task: LONG_RESULT }), { maxLength: 500 });
+  assert((await router.handle(own[0])).reason === 'own-message', 'Our own parts are ignored');
+
+  // Without a reassembler of their own, bots in one process still collect parts apart
+  const news = buildChunks(buildBroadcast({ from: 'Lotbot', requestId: 'lotbot-ch004', message: LONG_RESULT }), { maxLength: 500 });
+  for (const botName of ['Mantis', 'Clawcos']) {
+    const outcomes = [];
+    for (const part of news) {
+      outcomes.push(await preprocessMessage(part, { botName, track: false }));
+    }
+    const last = outcomes.pop();
+    assert(outcomes.every(o => o.reason === 'incomplete'), `${botName} waits for every part`);
+    assert(last.intercepted && last.parsed.message === LONG_RESULT, `${botName} gets the whole message`);
+  }
+
+  console.log('✓ testRouterReassembly passed');
+}
+
+async function testChunkedReplies() {
+  const state = createTracker({ store: createMemoryStore() });
+  const bus = createLoopbackBus();
+  const mantis = createDaemon({
+    botName: 'Mantis',
+    state,
+    transports: [bus.connect('mantis')],
+    checkInterval: 0,
+    maxLength: 500,
+    handlers: { REQUEST: () => LONG_RESULT }
+  });
+  const transport = bus.connect('lotbot');
+  const client = createClient({ botName: 'Lotbot', transport, state });
+  mantis.start();
+
+  const response = await client.request({ to: 'Mantis', task: 'Report', requestId: 'lotbot-ch004' });
+  assert(response.result === LONG_RESULT, 'The client should get the whole result');
+  assert(bus.history.filter(h => h.from === 'mantis').length > 1, 'The reply should go out in parts');
+  assert(bus.history.every(h => h.text.length <= 500 || h.from === 'lotbot'), 'Every part should fit the limit');
+
+  client.close();
+  await mantis.stop();
+  await transport.close();
+
+  console.log('✓ testChunkedReplies passed');
+}
+
+async function testIncompleteEvent() {
+  const daemon = createDaemon({
+    botName: 'Lotbot',
+    state: createTracker({ store: createMemoryStore() }),
+    checkInterval: 10,
+    reassembler: createReassembler({ timeout: 5 })
+  });
+  const reported = [];
+  daemon.on('incomplete', sets => reported.push(...sets));
+  daemon.start();
+
+  const [first] = buildChunks(longResponse('lotbot-ch005'), { maxLength: 400 });
+  await daemon.receive(first);
+  await sleep(50); // The check timer is unref'd; keep the process alive meanwhile
+  const [expired] = reported;
+  assert(expired && expired.requestId === 'lotbot-ch005' && expired.received === 1, 'Timed out sets are reported');
+
+  await daemon.stop();
+  console.log('✓ testIncompleteEvent passed');
+}
+
+// Run all tests
+async function runReassemblyTests() {
+  console.log('\n=== Chunking and Reassembly Tests ===');
+
+  try {
+    testBuildChunks();
+    testPartParsing();
+    await testReassembler();
+    await testRouterReassembly();
+    await testChunkedReplies();
+    await testIncompleteEvent();
+
+    console.log('\n✅ All chunking and reassembly tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Chunking and reassembly test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runReassemblyTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runReassemblyTests };
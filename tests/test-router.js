@@ -0,0 +1,454 @@
+/**
+ * Router Tests
+ */
+
+const { createRouter } = require('../lib/router.js');
+const { buildRequest, buildHandoff, buildClarify, buildResponse, buildCancel } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+const { createPolicy } = require('../lib/policy.js');
+
+const state = createTracker({ store: createMemoryStore() });
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function request(requestId, depth = { current: 1, max: 5 }) {
+  return buildRequest({ to: 'Mantis', from: 'Lotbot', requestId, task: 'Check CLI version', depth });
+}
+
+async function testResultBecomesResponse() {
+  const router = createRouter({ botName: 'Mantis', state });
+  router.on('REQUEST', parsed => ({ result: { version: '2026.2.13' }, context: `Checked: ${parsed.task}` }));
+
+  const outcome = await router.handle(request('lotbot-rt001'));
+  const reply = parse(outcome.reply);
+
+  assert(outcome.handled === true, 'Should be handled');
+  assert(reply.type === 'RESPONSE' && reply.status === 'done', 'Should build done RESPONSE');
+  assert(reply.to === 'Lotbot', 'Should reply to sender');
+  assert(reply.requestId === 'lotbot-rt001', 'Should keep RequestId');
+  assert(reply.result === '{"version":"2026.2.13"}', 'Objects should be serialized');
+  assert(reply.context === 'Checked: Check CLI version', 'Should carry context');
+  assert(reply.depth.current === 2, 'Should increment depth');
+
+  const conv = await state.get('lotbot-rt001');
+  assert(conv.status === 'done', 'Outgoing reply should be tracked');
+
+  console.log('✓ testResultBecomesResponse passed');
+}
+
+async function testPlainValueResults() {
+  const router = createRouter({ botName: 'Mantis', state });
+  const results = { 'lotbot-rt011': [1, 2, 3], 'lotbot-rt012': 42, 'lotbot-rt013': false };
+  router.on('REQUEST', parsed => results[parsed.requestId]);
+
+  for (const [requestId, value] of Object.entries(results)) {
+    const reply = parse((await router.handle(request(requestId))).reply);
+    assert(reply.status === 'done' && reply.result === JSON.stringify(value), `${JSON.stringify(value)} should be sent as the Result`);
+  }
+
+  console.log('✓ testPlainValueResults passed');
+}
+
+async function testClarifyResult() {
+  const router = createRouter({ botName: 'Mantis', state });
+  router.on('REQUEST', () => ({ clarify: 'Which machine?' }));
+
+  const reply = parse((await router.handle(request('lotbot-rt002'))).reply);
+
+  assert(reply.type === 'CLARIFY', 'Should build CLARIFY');
+  assert(reply.question === 'Which machine?', 'Should carry the question');
+  assert(reply.depth.current === 2, 'Should increment depth');
+
+  console.log('✓ testClarifyResult passed');
+}
+
+async function testHandoffResult() {
+  const router = createRouter({ botName: 'Mantis', state });
+  router.on('REQUEST', () => ({ handoff: { to: 'Clawcos', context: 'Mantis has no Mac Mini access' } }));
+
+  const reply = parse((await router.handle(buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-rt003',
+    task: 'Check CLI version',
+    priority: 'high',
+    timeout: '10m'
+  }))).reply);
+
+  assert(reply.type === 'HANDOFF', 'Should build HANDOFF');
+  assert(reply.to === 'Clawcos', 'Should go to the handoff target');
+  assert(reply.task === 'Check CLI version', 'Should default to the original task');
+  assert(reply.callback === '@Lotbot', 'Callback should point at the requester');
+  assert(reply.requestId === 'lotbot-rt003', 'Should keep RequestId');
+  assert(reply.depth.current === 2, 'Should increment depth');
+  assert(reply.priority === 'high', 'Priority should carry over');
+  assert(reply.deadline && reply.timeout === null, 'Timeout should become an absolute Deadline');
+
+  // A handoff of a handoff keeps the original callback
+  const router2 = createRouter({ botName: 'Clawcos', state });
+  router2.on('HANDOFF', () => ({ handoff: { to: 'Alex' } }));
+  const second = parse((await router2.handle(buildHandoff({
+    to: 'Clawcos',
+    from: 'Mantis',
+    requestId: 'lotbot-rt003',
+    task: 'Check CLI version',
+    callback: '@Lotbot',
+    depth: { current: 2, max: 5 }
+  }))).reply);
+  assert(second.callback === '@Lotbot', 'Callback should be preserved along the chain');
+
+  // The last bot in the chain answers the Callback bot, not the one that handed off
+  const router3 = createRouter({ botName: 'Alex', state });
+  router3.on('HANDOFF', () => '2026.2.13');
+  const done = parse((await router3.handle(buildHandoff({
+    to: 'Alex',
+    from: 'Clawcos',
+    requestId: 'lotbot-rt003',
+    task: 'Check CLI version',
+    callback: '@Lotbot',
+    depth: { current: 3, max: 5 }
+  }))).reply);
+  assert(done.type === 'RESPONSE' && done.to === 'Lotbot', 'RESPONSE should go to the Callback bot');
+
+  const conv = await state.get('lotbot-rt003');
+  assert(conv.owner === 'Alex' && conv.handoffs.length === 2, 'Chain should be tracked');
+  assert(conv.status === 'done', 'Final RESPONSE should close the chain');
+
+  console.log('✓ testHandoffResult passed');
+}
+
+async function testErrorBecomesFailedResponse() {
+  const router = createRouter({ botName: 'Mantis', state });
+  router.on('REQUEST', async () => {
+    throw new Error('CLI not installed');
+  });
+
+  const reply = parse((await router.handle(request('lotbot-rt004'))).reply);
+
+  assert(reply.type === 'RESPONSE' && reply.status === 'failed', 'Should build failed RESPONSE');
+  assert(reply.result === 'CLI not installed', 'Should carry error message');
+
+  // Handoff impossible at max depth also fails instead of hanging
+  router.on('REQUEST', () => ({ handoff: { to: 'Clawcos' } }));
+  const atMax = parse((await router.handle(request('lotbot-rt005', { current: 4, max: 5 }))).reply);
+  assert(atMax.status === 'failed', 'Handoff at max depth should fail');
+  assert(atMax.result.includes('Depth limit reached'), 'Failure should explain depth limit');
+
+  console.log('✓ testErrorBecomesFailedResponse passed');
+}
+
+async function testClarifyAnswer() {
+  const router = createRouter({ botName: 'Lotbot', state });
+  router.on('CLARIFY', parsed => `Answer to "${parsed.question}": the Mac Mini`);
+
+  const reply = parse((await router.handle(buildClarify({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-rt006',
+    question: 'Which machine?',
+    depth: { current: 2, max: 5 }
+  }))).reply);
+
+  assert(reply.type === 'RESPONSE', 'Answer should be a RESPONSE');
+  assert(reply.status === null, 'Answer should carry no status');
+  assert(reply.to === 'Mantis' && reply.depth.current === 3, 'Answer should go back with incremented depth');
+
+  router.on('CLARIFY', () => ({ result: 'These two', data: { machines: ['mini', 'studio'] } }));
+  const withData = parse((await router.handle(buildClarify({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-rt010',
+    question: 'Which machines?'
+  }))).reply);
+  assert(withData.result === 'These two' && withData.data.machines.length === 2, 'Answer should carry its data');
+
+  console.log('✓ testClarifyAnswer passed');
+}
+
+async function testRetryGetsCachedReply() {
+  const router = createRouter({ botName: 'Mantis', state });
+  let calls = 0;
+  router.on('REQUEST', () => {
+    calls++;
+    return `Version ${calls}`;
+  });
+
+  const first = await router.handle(request('lotbot-rt008'));
+  const retry = await router.handle(buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-rt008',
+    task: 'Check CLI version',
+    attempt: 2
+  }));
+
+  assert(calls === 1, 'Handler should not run again for a retry');
+  assert(retry.cached === true && retry.reply === first.reply, 'Retry should get the cached reply');
+  assert(parse(retry.reply).result === 'Version 1', 'Cached reply should be the original answer');
+
+  const conv = await state.get('lotbot-rt008');
+  const last = conv.history[conv.history.length - 1];
+  assert(last.type === 'REQUEST' && last.rejected && conv.status === 'done', 'Retry should not reopen the conversation');
+
+  // A retry while the first attempt is still working
+  let finish;
+  router.on('REQUEST', () => {
+    calls++;
+    return new Promise(resolve => { finish = resolve; });
+  });
+  const working = router.handle(request('lotbot-rt009a'));
+  await new Promise(resolve => setImmediate(resolve));
+  const early = await router.handle(buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-rt009a',
+    task: 'Check CLI version',
+    attempt: 2
+  }));
+  assert(early.reason === 'in-progress' && early.reply === null, 'A retry during the first attempt gets no reply');
+  finish('Version 2');
+  assert(parse((await working).reply).result === 'Version 2' && calls === 2, 'The handler should run once for both attempts');
+
+  console.log('✓ testRetryGetsCachedReply passed');
+}
+
+async function testDuplicateNotHandledTwice() {
+  const router = createRouter({ botName: 'Mantis', state });
+  let calls = 0;
+  router.on('REQUEST', () => {
+    calls++;
+    return 'ok';
+  });
+
+  const raw = request('lotbot-rt009');
+  await router.handle(raw);
+  const replay = await router.handle(raw);
+
+  assert(calls === 1, 'Handler should run once');
+  assert(!replay.handled && replay.reason === 'duplicate' && replay.reply === null, 'Replay should be reported as duplicate');
+
+  // A redelivery is no new message: it takes no rate limit slot and gets no denial
+  const limited = createRouter({ botName: 'Mantis', state, policy: createPolicy({ rateLimit: { max: 1, windowMs: 60 * 1000 } }) });
+  limited.on('REQUEST', () => 'ok');
+  const once = request('lotbot-rt009b');
+  const first = await limited.handle(once);
+  const again = await limited.handle(once);
+  assert(parse(first.reply).status === 'done', 'The first delivery is answered');
+  assert(again.reason === 'duplicate' && again.reply === null, 'The redelivery is a duplicate, not a denial');
+  const next = await limited.handle(request('lotbot-rt009c'));
+  assert(next.reason === 'denied', 'Only the first delivery counted towards the limit');
+
+  console.log('✓ testDuplicateNotHandledTwice passed');
+}
+
+async function testNoReplyCases() {
+  const router = createRouter({ botName: 'Lotbot', state });
+  let seen = null;
+  router.on('RESPONSE', parsed => {
+    seen = parsed;
+    return 'ignored';
+  });
+
+  const outcome = await router.handle(buildResponse({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-rt007',
+    status: 'done',
+    result: 'ok',
+    depth: { current: 2, max: 5 }
+  }));
+  assert(outcome.handled && outcome.reply === null, 'RESPONSE should never get a reply');
+  assert(seen && seen.result === 'ok', 'RESPONSE handler should be called');
+
+  const unhandled = await router.handle(buildRequest({ to: 'Lotbot', from: 'Mantis', task: 'x' }));
+  assert(!unhandled.handled && unhandled.reason === 'no-handler', 'Missing handler should be reported');
+
+  const ignored = await router.handle('hello there');
+  assert(!ignored.handled && ignored.reason === 'not-protocol', 'Non-protocol text should be ignored');
+
+  let threw = false;
+  try {
+    router.on('PING', () => null);
+  } catch (err) {
+    threw = err.message.includes('Unknown message type');
+  }
+  assert(threw, 'Should reject unknown message types');
+
+  console.log('✓ testNoReplyCases passed');
+}
+
+async function testDiagnostics() {
+  const router = createRouter({ botName: 'Mantis', state, diagnostics: true });
+  router.on('REQUEST', () => 'ok');
+
+  const malformed = request('lotbot-rt020').replace(/Task: .*\n/, '');
+  const outcome = await router.handle(malformed);
+  assert(!outcome.handled && outcome.reason === 'not-protocol', 'Malformed messages are not handled');
+  assert(outcome.errors[0].code === 'MISSING_FIELD', 'Outcome should carry the parse errors');
+
+  const reply = parse(outcome.reply);
+  assert(reply.to === 'Lotbot' && reply.requestId === 'lotbot-rt020' && reply.status === 'failed', 'Sender should be told');
+  assert(reply.result.includes('REQUEST requires Task'), 'Reply should say what was wrong');
+  assert(reply.depth.current === 2, 'Reply depth should be incremented');
+
+  const forSomeoneElse = malformed.replace('@Mantis', '@Clawcos');
+  assert((await router.handle(forSomeoneElse)).reply === null, 'Messages for other bots are not answered');
+  assert((await router.handle('hello there')).reply === null, 'Plain text is not answered');
+
+  const quiet = createRouter({ botName: 'Mantis', state });
+  assert((await quiet.handle(malformed)).reply === null, 'Diagnostics are off by default');
+
+  console.log('✓ testDiagnostics passed');
+}
+
+async function testProgressUpdates() {
+  const router = createRouter({ botName: 'Mantis', state });
+  router.on('REQUEST', async (parsed, ctx) => {
+    await ctx.progress('Halfway', { progress: 50 });
+    return 'Finished';
+  });
+
+  const sent = [];
+  const outcome = await router.handle(request('lotbot-rt040'), { send: async text => sent.push(text) });
+  const update = parse(sent[0]);
+
+  assert(sent.length === 1 && update.status === 'partial' && update.seq === 1, 'ctx.progress should send a numbered update');
+  assert(update.result === 'Halfway' && update.progress === 50 && update.to === 'Lotbot', 'Update should carry the result');
+  assert(parse(outcome.reply).status === 'done', 'The handler result is still the final RESPONSE');
+
+  const unsent = await router.handle(request('lotbot-rt041'));
+  assert(parse(unsent.reply).result === 'Progress updates need ctx.send (run the router in a daemon or pass send to handle())',
+    'Without send, progress updates fail the request');
+
+  console.log('✓ testProgressUpdates passed');
+}
+
+function cancel(requestId, from = 'Lotbot', to = 'Mantis') {
+  return buildCancel({ to, from, requestId, reason: 'Not needed any more' });
+}
+
+/**
+ * A handler that works until its request is cancelled
+ */
+function untilCancelled(seen) {
+  return (parsed, ctx) => new Promise(resolve => {
+    ctx.signal.addEventListener('abort', async () => {
+      const late = await ctx.progress('Too late').catch(err => err);
+      seen.push({ reason: ctx.signal.reason, late });
+      resolve('Finished anyway');
+    });
+  });
+}
+
+async function testCancelAbortsHandler() {
+  const router = createRouter({ botName: 'Mantis', state });
+  const aborted = [];
+  router.on('REQUEST', untilCancelled(aborted));
+
+  const working = router.handle(request('lotbot-rt050'), { send: async () => {} });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const stranger = await router.handle(cancel('lotbot-rt050', 'Weatherbot'));
+  assert(!stranger.handled && stranger.reason === 'rejected', 'Only the requester can cancel');
+  assert(aborted.length === 0, 'A rejected CANCEL aborts nothing');
+
+  const cancelled = await router.handle(cancel('lotbot-rt050'));
+  assert(cancelled.handled && cancelled.reply === null, 'CANCEL is handled without a reply');
+
+  const outcome = await working;
+  const [{ reason, late }] = aborted;
+  assert(reason.code === 'CANCELLED', 'The handler signal should be aborted');
+  assert(reason.message === 'Request lotbot-rt050 was cancelled by Lotbot: Not needed any more', 'The abort reason names the canceller');
+  assert(late === reason, 'Progress updates fail once cancelled');
+  assert(outcome.cancelled === true && outcome.reply === null, 'A cancelled handler sends no reply');
+  assert((await state.get('lotbot-rt050')).status === 'cancelled', 'The conversation is cancelled');
+
+  const retry = await router.handle(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-rt050', task: 'Check CLI version', attempt: 2 }));
+  assert(!retry.handled && retry.reason === 'cancelled', 'A cancelled request is not handled again');
+
+  // Two handlers at work on one request (a REQUEST sent again with another task)
+  aborted.length = 0;
+  const both = [
+    router.handle(request('lotbot-rt052'), { send: async () => {} }),
+    router.handle(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-rt052', task: 'Check the CLI version again' }), { send: async () => {} })
+  ];
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await router.handle(cancel('lotbot-rt052'));
+  const outcomes = await Promise.all(both);
+  assert(aborted.length === 2, 'A CANCEL aborts every handler working on the request');
+  assert(outcomes.every(o => o.cancelled && o.reply === null), 'None of them sends a reply');
+
+  console.log('✓ testCancelAbortsHandler passed');
+}
+
+async function testCancelPassesDownChain() {
+  const mantis = createRouter({ botName: 'Mantis', state });
+  const clawcos = createRouter({ botName: 'Clawcos', state });
+  const aborted = [];
+  mantis.on('REQUEST', () => ({ handoff: { to: 'Clawcos' } }));
+  clawcos.on('HANDOFF', untilCancelled(aborted));
+
+  const handoff = (await mantis.handle(request('lotbot-rt051'))).reply;
+  const working = clawcos.handle(handoff, { send: async () => {} });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const forwarded = parse((await mantis.handle(cancel('lotbot-rt051'))).reply);
+  assert(forwarded.type === 'CANCEL' && forwarded.to === 'Clawcos' && forwarded.from === 'Mantis', 'The CANCEL goes to the next bot');
+  assert(forwarded.reason === 'Not needed any more', 'The reason is passed on');
+
+  const last = await clawcos.handle(forwarded.raw);
+  assert(last.handled && last.reply === null, 'The end of the chain passes nothing on');
+  assert((await working).cancelled && aborted.length === 1, 'The bot working on the task stops');
+
+  // A CANCEL handler that throws does not keep the CANCEL from the next bot
+  mantis.on('CANCEL', () => {
+    throw new Error('Cleanup failed');
+  });
+  await mantis.handle(request('lotbot-rt053'));
+  const sent = [];
+  const error = await mantis.handle(cancel('lotbot-rt053'), { send: async text => sent.push(text) }).catch(err => err);
+  assert(error.message === 'Cleanup failed', 'The handler error is rethrown');
+  assert(sent.length === 1 && parse(sent[0]).type === 'CANCEL' && parse(sent[0]).to === 'Clawcos', 'The CANCEL is still passed on');
+
+  console.log('✓ testCancelPassesDownChain passed');
+}
+
+// Run all tests
+async function runRouterTests() {
+  console.log('\n=== Router Tests ===');
+
+  try {
+    await testResultBecomesResponse();
+    await testPlainValueResults();
+    await testClarifyResult();
+    await testHandoffResult();
+    await testErrorBecomesFailedResponse();
+    await testClarifyAnswer();
+    await testRetryGetsCachedReply();
+    await testDuplicateNotHandledTwice();
+    await testNoReplyCases();
+    await testDiagnostics();
+    await testProgressUpdates();
+    await testCancelAbortsHandler();
+    await testCancelPassesDownChain();
+
+    console.log('\n✅ All router tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Router test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runRouterTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runRouterTests };
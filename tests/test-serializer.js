@@ -0,0 +1,221 @@
+/**
+ * Serializer Tests
+ */
+
+const { serialize, escapeValue } = require('../lib/serializer.js');
+const { buildRequest } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const TYPES = ['REQUEST', 'RESPONSE', 'CLARIFY', 'HANDOFF', 'BROADCAST', 'CANCEL'];
+
+// Fragments that tend to break naive serializers
+const PIECES = [
+  'forecast', 'Paris', ' ', '  ', '\n', '\n\n', 'Task: inject', 'Status: done', 'key:value',
+  '\\', '\\\\', '`', '``', '```', '````', '```js', '[REQUEST → @Mantis]', '→', '@all', '{', '"', 'ü'
+];
+
+/**
+ * Small seeded PRNG (mulberry32) so failures can be reproduced
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A message as parse() returns it, apart from raw and position
+ */
+function blankMessage(type, to) {
+  return {
+    type, to, protocol: '0.1', from: null, requestId: null, part: null, chunk: null, task: null,
+    capability: null, result: null, context: null, depth: null, callback: null, priority: null,
+    timeout: null, deadline: null, attempt: null, signature: null, verification: null,
+    data: undefined, dataError: null, status: null, seq: null, progress: null, eta: null,
+    question: null, message: null, reason: null, meta: {}
+  };
+}
+
+function randomMessage(random) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const maybe = () => random() < 0.5;
+  const text = () => {
+    let value = '';
+    const length = 1 + Math.floor(random() * 8);
+    for (let i = 0; i < length; i++) {
+      value += pick(PIECES);
+    }
+    return value.trim() || 'x';
+  };
+
+  const type = pick(TYPES);
+  const m = blankMessage(type, type === 'BROADCAST' ? 'all' : pick(['Mantis', 'Lotbot']));
+  m.from = pick(['Lotbot', 'Mantis', 'Weatherbot']);
+  m.requestId = `lotbot-${Math.floor(random() * 1e6).toString(36)}`;
+  if (maybe() || type === 'CANCEL') m.protocol = '0.2';
+
+  if (type === 'REQUEST' || type === 'HANDOFF') m.task = text();
+  if (type === 'RESPONSE') m.status = pick(['done', 'partial', 'failed']);
+  if (m.status === 'partial' && maybe()) {
+    m.seq = 1 + Math.floor(random() * 20);
+    m.progress = pick([0, 12.5, 40, 100]);
+    m.eta = pick([90 * 1000, 15 * 60 * 1000]);
+  }
+  if (type === 'CLARIFY') m.question = text();
+  if (type === 'BROADCAST') m.message = text();
+  if (type === 'CANCEL' && maybe()) m.reason = text();
+
+  if (maybe()) m.result = text();
+  if (maybe()) m.context = text();
+  if (maybe()) m.capability = pick(['forecast', 'translate']);
+  if (maybe()) m.depth = { current: 1 + Math.floor(random() * 3), max: 5 };
+  if (maybe()) m.callback = '@Lotbot';
+  if (maybe()) m.priority = pick(['low', 'normal', 'high']);
+  if (maybe()) m.timeout = pick([1500, 30 * 1000, 15 * 60 * 1000, 2 * 60 * 60 * 1000]);
+  if (maybe()) m.deadline = new Date(Date.UTC(2026, 0, 1 + Math.floor(random() * 365))).toISOString();
+  if (maybe()) m.attempt = 1 + Math.floor(random() * 4);
+  if (maybe()) m.data = pick([null, 0, text(), [text(), 1, true], { note: text(), nested: { list: [text()] } }]);
+  if (maybe()) m.meta.mood = text();
+  if (maybe()) m.meta.trace = text();
+  if (maybe()) m.signature = 'hmac-sha256:abc123';
+  // Escapes came with 0.2; v0.1 cannot carry values that need them
+  if (m.protocol === '0.1' && needsEscapes(m)) m.protocol = '0.2';
+
+  return m;
+}
+
+function needsEscapes(m) {
+  try {
+    serialize(m);
+    return false;
+  } catch (err) {
+    return err.message.includes('needs escaping');
+  }
+}
+
+function withoutPosition(parsed) {
+  const { raw, position, ...rest } = parsed;
+  return rest;
+}
+
+function sameMessage(a, b) {
+  const describe = m => JSON.stringify(m, (key, value) => (value === undefined ? '<undefined>' : value));
+  return describe(a) === describe(b);
+}
+
+function testRoundTripProperty() {
+  const random = createRandom(21);
+  const seenTypes = new Set();
+
+  for (let i = 0; i < 500; i++) {
+    const m = randomMessage(random);
+    const text = serialize(m);
+    const parsed = parse(text);
+
+    assert(parsed !== null, `Message ${i} should parse:\n${text}`);
+    assert(sameMessage(withoutPosition(parsed), m), `Message ${i} should round-trip:\n${text}`);
+    assert(serialize(parsed) === text, `Message ${i} should serialize the same way twice`);
+    seenTypes.add(m.type);
+  }
+  assert(seenTypes.size === TYPES.length, 'Every message type should be covered');
+
+  console.log('✓ testRoundTripProperty passed');
+}
+
+function testEscaping() {
+  const m = blankMessage('REQUEST', 'Mantis');
+  Object.assign(m, { protocol: '0.2', from: 'Lotbot', requestId: 'lotbot-sr001', task: 'Summarize:\nStatus: done\n```\n\\raw' });
+  const text = serialize(m);
+
+  assert(text.includes('Task: Summarize:\n\\Status: done\n``\\`\n\\\\raw'), 'Field-like lines and fences should be escaped');
+  assert(text.split('```').length === 3, 'Only the message itself should contain fences');
+  assert(parse(text).task === m.task, 'Escaped values should parse back unchanged');
+  assert(parse(text).status === null, 'Escaped lines should not become fields');
+
+  // v0.1 predates escapes: backslashes are read as written, and values needing escapes cannot be written
+  const legacy = parse('```\n[RESPONSE → @Lotbot]\nFrom: Mantis\nRequestId: lotbot-sr002\nResult: Backups\n\\\\nas\\backup\n```');
+  assert(legacy.result === 'Backups\n\\\\nas\\backup', 'v0.1 values should not be unescaped');
+  assert(serialize(legacy) === legacy.raw, 'v0.1 values without escapes should be written as read');
+  let error = null;
+  try {
+    serialize({ ...m, protocol: '0.1' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Task needs escaping, which is not part of protocol 0.1', 'v0.1 cannot carry values that need escaping');
+
+  assert(escapeValue('plain text\nsecond line') === 'plain text\nsecond line', 'Ordinary values are left alone');
+  assert(escapeValue('Key: first line') === 'Key: first line', 'The first line follows "Key: " and needs no escape');
+
+  console.log('✓ testEscaping passed');
+}
+
+function testBuiltMessages() {
+  const raw = buildRequest({
+    to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-sr002', task: 'Forecast', capability: 'forecast',
+    data: { city: 'Paris' }, priority: 'high', timeout: '15m', attempt: 2
+  });
+  assert(serialize(parse(raw)) === raw, 'Built messages should serialize back to the same text');
+
+  const withMeta = raw.replace('Priority: high', 'Priority: high\nMood: cheerful');
+  assert(serialize(parse(withMeta)).includes('Mood: cheerful'), 'Meta fields should be written back');
+
+  console.log('✓ testBuiltMessages passed');
+}
+
+function testInvalidMessages() {
+  const attempts = [
+    [{ to: 'Mantis' }, 'serialize requires a message with type and to'],
+    [{ ...blankMessage('REQUEST', 'Mantis'), meta: { 'x-trace': '1' } }, 'Cannot serialize meta field "x-trace"'],
+    [{ ...blankMessage('REQUEST', 'Mantis'), meta: { task: 'twice' } }, 'Cannot serialize meta field "task"'],
+    [{ ...blankMessage('RESPONSE', 'Mantis'), data: null, dataError: 'Invalid Data payload: empty' },
+      'Cannot serialize a message with an invalid Data payload: Invalid Data payload: empty']
+  ];
+
+  for (const [message, expected] of attempts) {
+    let error = null;
+    try {
+      serialize(message);
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message === expected, `Should throw "${expected}"`);
+  }
+
+  console.log('✓ testInvalidMessages passed');
+}
+
+// Run all tests
+async function runSerializerTests() {
+  console.log('\n=== Serializer Tests ===');
+
+  try {
+    testRoundTripProperty();
+    testEscaping();
+    testBuiltMessages();
+    testInvalidMessages();
+
+    console.log('\n✅ All serializer tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Serializer test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runSerializerTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runSerializerTests };
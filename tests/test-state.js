@@ -0,0 +1,789 @@
+/**
+ * State Tracker and Storage Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { createTracker, transition, fingerprint } = require('../lib/state.js');
+const { createMemoryStore, createJsonFileStore, createJsonlStore, acquireFileLock } = require('../lib/storage.js');
+const { parse } = require('../lib/parser.js');
+const { buildRequest, buildResponse, buildProgress, buildClarify, buildHandoff, buildCancel } = require('../lib/builder.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const tmpDirs = [];
+
+function tmpFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-protocol-test-'));
+  tmpDirs.push(dir);
+  return path.join(dir, name);
+}
+
+/**
+ * Delete the directories made by tmpFile()
+ */
+function removeTmpDirs() {
+  for (const dir of tmpDirs.splice(0)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function request(requestId) {
+  return parse(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId, task: 'Check CLI version' }));
+}
+
+function response(requestId, status = 'done', result = 'Up to date') {
+  return parse(buildResponse({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId,
+    status,
+    result,
+    depth: { current: 2, max: 5 }
+  }));
+}
+
+/**
+ * Exercise the tracker API against any store
+ */
+async function exerciseTracker(store, label) {
+  const tracker = createTracker({ store });
+
+  await tracker.track(request('lotbot-st001'));
+  await tracker.track(parse(buildClarify({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId: 'lotbot-st001',
+    question: 'Which machine?',
+    depth: { current: 2, max: 5 }
+  })));
+  let conv = await tracker.get('lotbot-st001');
+  assert(conv.status === 'clarifying', `${label}: CLARIFY should set clarifying`);
+
+  await tracker.track(response('lotbot-st001'));
+  conv = await tracker.get('lotbot-st001');
+  assert(conv.status === 'done', `${label}: RESPONSE should set done`);
+  assert(conv.history.length === 3, `${label}: History should have three entries`);
+
+  await tracker.track(request('lotbot-st002'));
+  const open = await tracker.list({ status: 'open' });
+  assert(open.length === 1 && open[0].requestId === 'lotbot-st002', `${label}: list should filter by status`);
+
+  await tracker.timeout('lotbot-st002', 'test');
+  conv = await tracker.get('lotbot-st002');
+  assert(conv.status === 'timeout', `${label}: timeout should mark conversation`);
+
+  assert(await tracker.cleanup(-1) === 2, `${label}: cleanup should remove finished conversations`);
+  assert(await tracker.get('lotbot-st001') === null, `${label}: cleaned conversation should be gone`);
+
+  return tracker;
+}
+
+async function testMemoryStore() {
+  const store = createMemoryStore();
+  await exerciseTracker(store, 'memory');
+
+  // Records handed out are copies
+  await store.set('x', { status: 'open' });
+  const record = await store.get('x');
+  record.status = 'mutated';
+  assert((await store.get('x')).status === 'open', 'Store should not share objects with callers');
+
+  // A failing transaction leaves the store untouched
+  try {
+    await store.transaction(async (tx) => {
+      await tx.set('y', { status: 'open' });
+      throw new Error('abort');
+    });
+  } catch (err) {
+    // expected
+  }
+  assert(await store.get('y') === null, 'Failed transaction should not commit');
+
+  console.log('✓ testMemoryStore passed');
+}
+
+async function testJsonFileStore() {
+  const file = tmpFile('state.json');
+  await exerciseTracker(createJsonFileStore(file), 'json');
+
+  const tracker = createTracker({ store: createJsonFileStore(file) });
+  await tracker.track(request('lotbot-st003'));
+  const onDisk = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert(onDisk['lotbot-st003'].status === 'open', 'JSON file should hold the conversation');
+
+  console.log('✓ testJsonFileStore passed');
+}
+
+async function testJsonlStore() {
+  const file = tmpFile('state.jsonl');
+  await exerciseTracker(createJsonlStore(file), 'jsonl');
+
+  // Another instance (e.g. another process) replays the log
+  const writer = createTracker({ store: createJsonlStore(file) });
+  const reader = createTracker({ store: createJsonlStore(file) });
+  await writer.track(request('lotbot-st004'));
+  assert((await reader.get('lotbot-st004')).status === 'open', 'Reader should see appended entries');
+
+  await writer.track(response('lotbot-st004'));
+  assert((await reader.get('lotbot-st004')).status === 'done', 'Reader should pick up new entries');
+
+  // Updates append instead of rewriting the file
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert(JSON.parse(lines[lines.length - 1]).record.status === 'done', 'Last log entry should be the update');
+
+  console.log('✓ testJsonlStore passed');
+}
+
+async function testJsonlCompaction() {
+  const file = tmpFile('state.jsonl');
+  const store = createJsonlStore(file, { compactAfter: 5 });
+  const tracker = createTracker({ store });
+
+  await tracker.track(request('lotbot-st005'));
+  for (let i = 0; i < 6; i++) {
+    await tracker.track(response('lotbot-st005', 'partial', `Step ${i + 1}`));
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert(lines.length < 7, 'Log should have been compacted');
+  assert((await createJsonlStore(file).get('lotbot-st005')).history.length === 7, 'Compaction should keep all data');
+
+  console.log('✓ testJsonlCompaction passed');
+}
+
+function clarify(requestId) {
+  return parse(buildClarify({
+    to: 'Lotbot',
+    from: 'Mantis',
+    requestId,
+    question: 'Which machine?',
+    depth: { current: 2, max: 5 }
+  }));
+}
+
+function answer(requestId) {
+  return parse(buildResponse({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId,
+    result: 'The Mac Mini',
+    depth: { current: 3, max: 5 }
+  }));
+}
+
+async function testStateMachine() {
+  const tracker = createTracker({ store: createMemoryStore() });
+
+  let conv = await tracker.track(request('lotbot-sm001'));
+  assert(conv.status === 'open' && conv.transition.accepted, 'REQUEST should open');
+
+  conv = await tracker.track(clarify('lotbot-sm001'));
+  assert(conv.status === 'clarifying', 'CLARIFY should move to clarifying');
+
+  conv = await tracker.track(answer('lotbot-sm001'));
+  assert(conv.status === 'open', 'Answer to CLARIFY should reopen the request');
+  assert(conv.transition.from === 'clarifying' && conv.transition.to === 'open', 'Transition should be reported');
+
+  conv = await tracker.track(parse(buildHandoff({
+    to: 'Clawcos',
+    from: 'Mantis',
+    requestId: 'lotbot-sm001',
+    task: 'Check CLI version',
+    depth: { current: 4, max: 5 }
+  })));
+  assert(conv.status === 'handed_off', 'HANDOFF should move to handed_off');
+
+  conv = await tracker.track(response('lotbot-sm001', 'partial'));
+  assert(conv.status === 'partial', 'Partial RESPONSE should set partial');
+  conv = await tracker.track(response('lotbot-sm001', 'done'));
+  assert(conv.status === 'done', 'Final RESPONSE should set done');
+
+  const history = conv.history.map(h => h.transition);
+  assert(history[0] === 'new → open' && history[5] === 'partial → done', 'History should record transitions');
+
+  console.log('✓ testStateMachine passed');
+}
+
+async function testRejectedTransitions() {
+  const tracker = createTracker({ store: createMemoryStore() });
+
+  // RESPONSE for a conversation we never saw
+  const orphan = await tracker.track(response('lotbot-sm002'));
+  assert(orphan.transition.accepted === false, 'Unknown RESPONSE should be rejected');
+  assert(orphan.transition.reason === 'RESPONSE for unknown conversation', 'Reason should be given');
+  assert(await tracker.get('lotbot-sm002') === null, 'Rejected unknown conversation should not be stored');
+
+  // Late RESPONSE after a timeout
+  await tracker.track(request('lotbot-sm003'));
+  await tracker.timeout('lotbot-sm003', 'test');
+  const late = await tracker.track(response('lotbot-sm003'));
+  assert(late.status === 'timeout', 'Late RESPONSE should not resurrect a timed out conversation');
+  assert(!late.transition.accepted, 'Late RESPONSE should be rejected');
+  const last = late.history[late.history.length - 1];
+  assert(last.rejected === true && last.reason.includes('after conversation ended'), 'Rejection should be in history');
+
+  // Timing out a finished conversation does nothing
+  await tracker.track(request('lotbot-sm004'));
+  await tracker.track(response('lotbot-sm004'));
+  const finished = await tracker.timeout('lotbot-sm004');
+  assert(finished.status === 'done' && !finished.transition.accepted, 'Finished conversation should not time out');
+
+  // A new REQUEST is not allowed once results are coming in
+  await tracker.track(request('lotbot-sm005'));
+  await tracker.track(response('lotbot-sm005', 'partial'));
+  const repeat = await tracker.track(request('lotbot-sm005'));
+  assert(repeat.status === 'partial' && !repeat.transition.accepted, 'REQUEST while partial should be rejected');
+
+  // Repeated REQUEST is accepted but flagged
+  await tracker.track(request('lotbot-sm006'), { observer: 'Lotbot' });
+  const flagged = await tracker.track(request('lotbot-sm006'), { observer: 'Mantis' });
+  assert(flagged.transition.accepted && flagged.transition.flagged, 'Repeated REQUEST should be flagged');
+
+  assert(transition('clarifying', 'RESPONSE', { status: 'failed' }).to === 'failed', 'transition() should be usable on its own');
+
+  console.log('✓ testRejectedTransitions passed');
+}
+
+async function testHandoffChain() {
+  const tracker = createTracker({ store: createMemoryStore() });
+
+  let conv = await tracker.track(request('lotbot-ho001'));
+  assert(conv.requester === 'Lotbot' && conv.owner === 'Mantis', 'REQUEST should set requester and owner');
+
+  // Mantis → Clawcos → Alex, Callback stays with the requester
+  conv = await tracker.track(parse(buildHandoff({
+    to: 'Clawcos',
+    from: 'Mantis',
+    requestId: 'lotbot-ho001',
+    task: 'Check CLI version',
+    callback: '@Lotbot',
+    depth: { current: 2, max: 5 }
+  })));
+  conv = await tracker.track(parse(buildHandoff({
+    to: 'Alex',
+    from: 'Clawcos',
+    requestId: 'lotbot-ho001',
+    task: 'Check CLI version',
+    callback: '@Lotbot',
+    depth: { current: 3, max: 5 }
+  })));
+
+  assert(conv.to === 'Mantis', 'Original recipient should be kept');
+  assert(conv.owner === 'Alex', 'Ownership should follow the chain');
+  assert(conv.callback === 'Lotbot', 'Callback should be stored without @');
+  assert(conv.handoffs.length === 2, 'Each hop should be recorded');
+  assert(conv.handoffs[0].from === 'Mantis' && conv.handoffs[1].to === 'Alex', 'Hops should be in order');
+
+  const mine = await tracker.handedOff('Mantis');
+  assert(mine.length === 1 && mine[0].requestId === 'lotbot-ho001', 'Mantis should see the open handoff');
+  assert((await tracker.list({ owner: 'Alex' })).length === 1, 'list() should filter by owner');
+
+  await tracker.track(parse(buildResponse({
+    to: 'Lotbot',
+    from: 'Alex',
+    requestId: 'lotbot-ho001',
+    status: 'done',
+    result: 'Up to date',
+    depth: { current: 4, max: 5 }
+  })));
+  assert((await tracker.handedOff('Mantis')).length === 0, 'Finished handoffs should drop out');
+
+  // A bot that only sees the HANDOFF still learns the requester from Callback
+  const seen = await tracker.track(parse(buildHandoff({
+    to: 'Alex',
+    from: 'Clawcos',
+    requestId: 'lotbot-ho002',
+    task: 'Check CLI version',
+    callback: '@Lotbot'
+  })));
+  assert(seen.requester === 'Lotbot' && seen.owner === 'Alex', 'First-seen HANDOFF should use Callback as requester');
+
+  console.log('✓ testHandoffChain passed');
+}
+
+/**
+ * Move a conversation's last update into the past
+ */
+async function backdate(tracker, requestId, minutes) {
+  await tracker.store.transaction(async (tx) => {
+    const conv = await tx.get(requestId);
+    conv.updatedAt = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    await tx.set(requestId, conv);
+  });
+}
+
+async function testLifecycleEvents() {
+  const tracker = createTracker({ store: createMemoryStore() });
+  const events = [];
+  for (const name of ['opened', 'clarifying', 'handed_off', 'responded', 'partial', 'failed', 'timeout', 'cleaned']) {
+    tracker.on(name, record => events.push(`${name}:${record.requestId}`));
+  }
+
+  await tracker.track(request('lotbot-ev001'));
+  await tracker.track(clarify('lotbot-ev001'));
+  await tracker.track(answer('lotbot-ev001'));
+  await tracker.track(response('lotbot-ev001', 'partial'));
+  await tracker.track(response('lotbot-ev001', 'done'));
+  await tracker.track(response('lotbot-ev001', 'done')); // Rejected, no event
+
+  await tracker.track(request('lotbot-ev002'));
+  await tracker.track(response('lotbot-ev002', 'failed'));
+
+  assert(events.join(',') === [
+    'opened:lotbot-ev001',
+    'clarifying:lotbot-ev001',
+    'partial:lotbot-ev001',
+    'responded:lotbot-ev001',
+    'opened:lotbot-ev002',
+    'failed:lotbot-ev002'
+  ].join(','), `Unexpected events: ${events.join(',')}`);
+
+  let record = null;
+  tracker.once('responded', r => { record = r; });
+  await tracker.track(request('lotbot-ev003'));
+  await tracker.track(response('lotbot-ev003'));
+  assert(record && record.status === 'done' && record.history.length === 2, 'Events should carry the record');
+
+  events.length = 0;
+  const removed = await tracker.cleanup(-1);
+  assert(removed === 3 && events.filter(e => e.startsWith('cleaned:')).length === 3, 'cleanup() should emit cleaned per record');
+
+  console.log('✓ testLifecycleEvents passed');
+}
+
+async function testTimeoutScheduler() {
+  const tracker = createTracker({ store: createMemoryStore() });
+  await tracker.track(request('lotbot-ev004'));
+
+  await backdate(tracker, 'lotbot-ev004', 31); // Past the REQUEST timeout
+
+  const timedOut = await new Promise((resolve, reject) => {
+    const guard = setTimeout(() => reject(new Error('No timeout event')), 2000);
+    tracker.once('timeout', (conv) => {
+      clearTimeout(guard);
+      resolve(conv);
+    });
+    tracker.startTimeoutChecks(10);
+  });
+  tracker.stopTimeoutChecks();
+
+  assert(timedOut.requestId === 'lotbot-ev004' && timedOut.status === 'timeout', 'Scheduler should emit timeout');
+
+  console.log('✓ testTimeoutScheduler passed');
+}
+
+async function testConfigurableTimeouts() {
+  const tracker = createTracker({ store: createMemoryStore(), timeouts: { REQUEST: 60 * 60 * 1000 } });
+  assert(tracker.timeoutFor('REQUEST') === 60 * 60 * 1000, 'Timeouts should be configurable');
+  assert(tracker.timeoutFor('REQUEST', 'high') === 30 * 60 * 1000, 'High priority should expire sooner');
+  assert(tracker.timeoutFor('CLARIFY', 'low') === 20 * 60 * 1000, 'Low priority should get longer');
+
+  const escalated = [];
+  tracker.on('escalated', conv => escalated.push(conv.requestId));
+
+  await tracker.track(request('lotbot-to001'));
+  await tracker.track(parse(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-to002', task: 'Urgent', priority: 'high' })));
+  await backdate(tracker, 'lotbot-to001', 45);
+  await backdate(tracker, 'lotbot-to002', 45);
+
+  const timedOut = await tracker.checkTimeouts();
+  assert(timedOut.length === 1 && timedOut[0] === 'lotbot-to002', 'Only the high priority request should expire');
+  assert(escalated.length === 1 && escalated[0] === 'lotbot-to002', 'High priority timeout should be escalated');
+  assert((await tracker.get('lotbot-to002')).escalated === true, 'Escalation should be stored');
+
+  tracker.configure({ priorityScale: { normal: 0.5 } });
+  assert(tracker.timeoutFor('REQUEST') === 30 * 60 * 1000, 'configure() should update scaling');
+
+  console.log('✓ testConfigurableTimeouts passed');
+}
+
+async function testDeadlines() {
+  const tracker = createTracker({ store: createMemoryStore() });
+
+  // A relative Timeout becomes a deadline
+  const conv = await tracker.track(parse(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-to003', task: 'x', timeout: '5m' })));
+  const inFive = Date.now() + 5 * 60 * 1000;
+  assert(Math.abs(new Date(conv.deadline).getTime() - inFive) < 1000, 'Timeout should set the deadline');
+
+  // A passed Deadline expires the conversation even though it was just updated
+  await tracker.track(parse(buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-to004',
+    task: 'x',
+    deadline: new Date(Date.now() - 1000)
+  })));
+  // A Deadline in the future keeps it alive past the per-type timeout
+  await tracker.track(parse(buildRequest({
+    to: 'Mantis',
+    from: 'Lotbot',
+    requestId: 'lotbot-to005',
+    task: 'x',
+    deadline: new Date(Date.now() + 60 * 60 * 1000)
+  })));
+  await backdate(tracker, 'lotbot-to005', 45);
+
+  const timedOut = await tracker.checkTimeouts();
+  assert(timedOut.length === 1 && timedOut[0] === 'lotbot-to004', 'Only the passed deadline should expire');
+  const expired = await tracker.get('lotbot-to004');
+  assert(expired.history[1].reason.startsWith('Deadline'), 'Reason should mention the deadline');
+
+  console.log('✓ testDeadlines passed');
+}
+
+async function testRetry() {
+  const sent = [];
+  const tracker = createTracker({
+    store: createMemoryStore(),
+    botName: 'Lotbot',
+    retry: { maxAttempts: 3, backoffMs: 60 * 1000 },
+    send: text => sent.push(text)
+  });
+  const retries = [];
+  tracker.on('retry', conv => retries.push(conv.attempt));
+
+  await tracker.track(request('lotbot-rt001'));
+  await backdate(tracker, 'lotbot-rt001', 30.5); // Expired, still in backoff
+  assert((await tracker.checkTimeouts()).length === 0 && sent.length === 0, 'Should wait for the backoff');
+
+  await backdate(tracker, 'lotbot-rt001', 32);
+  assert((await tracker.checkTimeouts()).length === 0, 'Retry should not time out the request');
+  const resent = parse(sent[0]);
+  assert(resent.requestId === 'lotbot-rt001' && resent.attempt === 2, 'Should resend with the same RequestId and Attempt: 2');
+  assert(resent.task === 'Check CLI version', 'Should resend the original REQUEST');
+
+  await backdate(tracker, 'lotbot-rt001', 31.5); // Backoff doubled to 2 minutes
+  await tracker.checkTimeouts();
+  assert(sent.length === 1, 'Backoff should double');
+  await backdate(tracker, 'lotbot-rt001', 32.5);
+  await tracker.checkTimeouts();
+  assert(sent.length === 2 && parse(sent[1]).attempt === 3, 'Should retry again after the backoff');
+
+  await backdate(tracker, 'lotbot-rt001', 60);
+  const timedOut = await tracker.checkTimeouts();
+  assert(timedOut[0] === 'lotbot-rt001' && sent.length === 2, 'Should time out after maxAttempts');
+  assert(retries.join(',') === '2,3', 'retry events should carry the attempt');
+
+  // Requests from other bots are never resent
+  await tracker.track(parse(buildRequest({ to: 'Lotbot', from: 'Mantis', requestId: 'mantis-rt002', task: 'x' })));
+  await backdate(tracker, 'mantis-rt002', 60);
+  assert((await tracker.checkTimeouts())[0] === 'mantis-rt002', 'Incoming requests should just time out');
+
+  console.log('✓ testRetry passed');
+}
+
+async function testDuplicates() {
+  const file = tmpFile('state.json');
+  const tracker = createTracker({ store: createJsonFileStore(file), dedupWindow: 2 });
+
+  const first = await tracker.track(request('lotbot-dd001'), { observer: 'Mantis' });
+  const again = await tracker.track(request('lotbot-dd001'), { observer: 'Mantis' });
+  assert(first.duplicate === false && again.duplicate === true, 'Same message twice should be a duplicate');
+  assert(again.transition.reason === 'duplicate message' && again.status === 'open', 'Duplicate should change nothing');
+  assert((await tracker.get('lotbot-dd001')).history.length === 1, 'Duplicate should not be added to history');
+
+  // Text around the block does not matter, content does
+  const wrapped = parse(`Sure, here it is:\n${buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-dd001', task: 'Check CLI version' })}`);
+  assert((await tracker.track(wrapped, { observer: 'Mantis' })).duplicate, 'Surrounding text should not matter');
+  assert(fingerprint(request('lotbot-dd001')) !== fingerprint(response('lotbot-dd001')), 'Different messages should differ');
+  const edited = parse(buildRequest({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-dd001', task: 'Check CLI version again' }));
+  assert(!(await tracker.track(edited, { observer: 'Mantis' })).duplicate, 'Edited content is a new message');
+
+  // An unknown-conversation RESPONSE is not stored, so it is rejected again rather than remembered
+  await tracker.track(response('lotbot-dd002'), { observer: 'Lotbot' });
+  const unknown = await tracker.track(response('lotbot-dd002'), { observer: 'Lotbot' });
+  assert(!unknown.duplicate && !unknown.transition.accepted, 'Unstored messages should not be remembered');
+
+  // A commit that fails stores nothing, so the redelivery is no duplicate
+  const store = createMemoryStore();
+  const transaction = store.transaction;
+  let failures = 1;
+  store.transaction = (work) => transaction(async (tx) => {
+    const result = await work(tx);
+    if (failures-- > 0) {
+      throw new Error('Disk full'); // The work ran, the commit did not
+    }
+    return result;
+  });
+  const flaky = createTracker({ store });
+  const failed = await flaky.track(request('lotbot-dd003'), { observer: 'Mantis' }).catch(err => err);
+  assert(failed.message === 'Disk full', 'The failed commit should be reported');
+  const redelivered = await flaky.track(request('lotbot-dd003'), { observer: 'Mantis' });
+  assert(!redelivered.duplicate && (await store.get('lotbot-dd003')).status === 'open', 'The redelivery should be stored');
+
+  // A fresh tracker on the same file still knows what each conversation has seen
+  const restarted = createTracker({ store: createJsonFileStore(file) });
+  assert((await restarted.track(request('lotbot-dd001'), { observer: 'Mantis' })).duplicate, 'Seen fingerprints should persist');
+
+  console.log('✓ testDuplicates passed');
+}
+
+async function testConcurrentProcesses() {
+  const file = tmpFile('shared.json');
+  const libDir = path.join(__dirname, '..', 'lib');
+  const script = `
+    const { createTracker } = require(${JSON.stringify(path.join(libDir, 'state.js'))});
+    const { createJsonFileStore } = require(${JSON.stringify(path.join(libDir, 'storage.js'))});
+    const tracker = createTracker({ store: createJsonFileStore(process.argv[1]) });
+    (async () => {
+      for (let i = 0; i < 10; i++) {
+        await tracker.track({ type: 'REQUEST', to: 'Mantis', from: 'Lotbot',
+          requestId: 'proc' + process.argv[2] + '-' + i, task: 'x' });
+      }
+    })().catch(err => { console.error(err); process.exit(1); });
+  `;
+
+  const run = n => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, file, String(n)], { timeout: 30000 }, err => (err ? reject(err) : resolve()));
+  });
+  await Promise.all([run(1), run(2), run(3)]);
+
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert(Object.keys(state).length === 30, 'No write from any process should be lost');
+  assert(!fs.existsSync(`${file}.lock`), 'Lock file should be released');
+
+  console.log('✓ testConcurrentProcesses passed');
+}
+
+async function testCorruptionRecovery() {
+  const file = tmpFile('state.json');
+  const corrupt = [];
+  const tracker = createTracker({ store: createJsonFileStore(file, { onCorrupt: err => corrupt.push(err) }) });
+  await tracker.track(request('lotbot-st006'));
+
+  // Simulate a half-written file left by an older writer or a crash
+  fs.writeFileSync(file, '{"lotbot-st006": {"status": "op');
+
+  const conv = await tracker.get('lotbot-st006');
+  assert(conv && conv.status === 'open', 'Should fall back to the last good snapshot');
+  assert(corrupt.length === 1 && corrupt[0].code === 'CORRUPT_STATE' && corrupt[0].filePath === file, 'Corruption should be reported');
+
+  await tracker.track(request('lotbot-st007'));
+
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert(state['lotbot-st006'] && state['lotbot-st007'], 'State should be repaired and updated');
+  const dir = path.dirname(file);
+  assert(fs.readdirSync(dir).some(name => name.startsWith('state.json.corrupt-')), 'Corrupt file should be kept aside');
+  assert(!fs.readdirSync(dir).some(name => name.endsWith('.tmp')), 'No temp files should be left behind');
+
+  console.log('✓ testCorruptionRecovery passed');
+}
+
+async function testStaleLockRecovery() {
+  const file = tmpFile('state.json');
+  const tracker = createTracker({ store: createJsonFileStore(file, { lockTimeoutMs: 500 }) });
+
+  // Lock left behind by a process that no longer exists
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2147483646, token: 'x' }));
+  await tracker.track(request('lotbot-st008'));
+
+  // Lock from another host that has not been touched for too long
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ host: 'elsewhere', pid: process.pid, token: 'y' }));
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${file}.lock`, old, old);
+  await tracker.track(request('lotbot-st009'));
+
+  assert((await tracker.list()).length === 2, 'Stale locks should be reclaimed');
+
+  // A live process on this host keeps its lock however long it holds it
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ host: os.hostname(), pid: process.pid, token: 'z' }));
+  fs.utimesSync(`${file}.lock`, old, old);
+  const blocked = await acquireFileLock(`${file}.lock`, { timeoutMs: 100 }).catch(err => err);
+  assert(blocked instanceof Error && blocked.message.includes('Timed out waiting for state lock'), 'A long-held live lock should block');
+  fs.unlinkSync(`${file}.lock`);
+
+  // Several waiters finding the same stale lock: only one of them may get in
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2147483646, token: 'x' }));
+  let inside = 0;
+  let most = 0;
+  await Promise.all([1, 2, 3, 4, 5].map(async () => {
+    const done = await acquireFileLock(`${file}.lock`);
+    inside++;
+    most = Math.max(most, inside);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inside--;
+    await done();
+  }));
+  assert(most === 1, 'Reclaiming a stale lock should never let two holders in');
+  assert(fs.readdirSync(path.dirname(file)).every(name => !name.endsWith('.stale')), 'No tombstones should be left');
+
+  // A fresh lock held by a live process is respected
+  const release = await acquireFileLock(`${file}.lock`);
+  let error = null;
+  try {
+    await acquireFileLock(`${file}.lock`, { timeoutMs: 100 });
+  } catch (err) {
+    error = err;
+  }
+  await release();
+  assert(error && error.message.includes('Timed out waiting for state lock'), 'Live lock should block');
+  assert(!fs.existsSync(`${file}.lock`), 'Release should remove the lock');
+
+  console.log('✓ testStaleLockRecovery passed');
+}
+
+async function testJsonlPartialLine() {
+  const file = tmpFile('state.jsonl');
+  const tracker = createTracker({ store: createJsonlStore(file) });
+  await tracker.track(request('lotbot-st010'));
+
+  // Crash in the middle of an append
+  fs.appendFileSync(file, '{"op":"set","requestId":"lotbot-st0');
+
+  await tracker.track(response('lotbot-st010'));
+  const skipped = [];
+  const fresh = createTracker({ store: createJsonlStore(file, { onCorrupt: err => skipped.push(err.message) }) });
+  const conv = await fresh.get('lotbot-st010');
+  assert(conv && conv.status === 'done', 'Log should stay readable after a torn write');
+  assert(skipped.length === 1 && skipped[0] === `Skipping corrupt entry in ${file}`, 'The torn line should be reported');
+
+  console.log('✓ testJsonlPartialLine passed');
+}
+
+async function testProgressStream() {
+  const tracker = createTracker({ store: createMemoryStore() });
+  const update = (seq, progress, eta) => parse(buildProgress({
+    to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ps001', seq, progress, eta, result: `Step ${seq}`
+  }));
+  const events = [];
+  tracker.on('partial', conv => conv.requestId === 'lotbot-ps001' && events.push(conv.stream.length));
+
+  await tracker.track(request('lotbot-ps001'));
+  await tracker.track(update(2, 50));
+  await tracker.track(update(1, 25, '10m'));
+  await tracker.track(update(2, 50)); // Same update delivered twice
+
+  let conv = await tracker.get('lotbot-ps001');
+  assert(conv.status === 'partial', 'Progress updates should set partial');
+  assert(conv.stream.map(u => u.result).join() === 'Step 1,Step 2', 'Updates should be kept in Seq order');
+  assert(conv.progress === 50, 'Progress should follow the latest update');
+  assert(new Date(conv.expectedAt) > new Date(), 'ETA should give an expected completion time');
+  assert(events.join() === '1,2', 'Each new update should emit partial');
+
+  await backdate(tracker, 'lotbot-ps001', 31);
+  assert((await tracker.checkTimeouts()).includes('lotbot-ps001'), 'A stream that stops updating should time out');
+
+  await tracker.track(request('lotbot-ps002'));
+  await tracker.track(response('lotbot-ps002', 'partial', 'Closing answer'));
+  await backdate(tracker, 'lotbot-ps002', 31);
+  assert((await tracker.checkTimeouts()).length === 0, 'A partial RESPONSE without Seq is a final answer');
+
+  const finals = createTracker({ store: createMemoryStore() });
+  await finals.track(request('lotbot-ps005'));
+  await finals.track(response('lotbot-ps005', 'partial', 'Closing answer'));
+  await finals.track(request('lotbot-ps006'));
+  await finals.track(parse(buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ps006', seq: 1, result: 'First' })));
+  assert(await finals.cleanup(-1) === 1, 'A final partial answer should be cleaned up');
+  assert(await finals.get('lotbot-ps005') === null && await finals.get('lotbot-ps006'), 'A stream still under way should be kept');
+
+  await tracker.track(request('lotbot-ps003'));
+  await tracker.track(parse(buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ps003', seq: 1, result: 'First' })));
+  await tracker.track(response('lotbot-ps003'));
+  conv = await tracker.get('lotbot-ps003');
+  assert(conv.status === 'done' && conv.stream.length === 1, 'The final RESPONSE should end the stream');
+
+  // Mid-stream the worker asks a question, gets the answer, then hands off
+  await tracker.track(request('lotbot-ps004'));
+  await tracker.track(parse(buildProgress({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ps004', seq: 1, result: 'First' })));
+  conv = await tracker.track(parse(buildClarify({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-ps004', question: 'Which branch?' })));
+  assert(conv.transition.accepted && conv.status === 'clarifying', 'A CLARIFY should be accepted while partial');
+  conv = await tracker.track(parse(buildResponse({ to: 'Mantis', from: 'Lotbot', requestId: 'lotbot-ps004', result: 'main' })));
+  assert(conv.status === 'partial', 'The answer should take the stream back to partial');
+  conv = await tracker.track(parse(buildHandoff({
+    to: 'Clawcos', from: 'Mantis', requestId: 'lotbot-ps004', task: 'Finish the report', callback: '@Lotbot', depth: { current: 2, max: 5 }
+  })));
+  assert(conv.transition.accepted && conv.status === 'handed_off', 'A HANDOFF should be accepted while partial');
+  assert(conv.handoffs.length === 1 && conv.owner === 'Clawcos', 'The hop should be recorded');
+  assert((await tracker.handedOff('Mantis')).some(c => c.requestId === 'lotbot-ps004'), 'The handoff should be listed');
+
+  console.log('✓ testProgressStream passed');
+}
+
+async function testCancellation() {
+  const tracker = createTracker({ store: createMemoryStore() });
+  const cancel = (requestId, from = 'Lotbot', to = 'Mantis') => parse(buildCancel({ to, from, requestId, reason: 'Not needed' }));
+  const events = [];
+  tracker.on('cancelled', conv => events.push(conv.requestId));
+
+  await tracker.track(request('lotbot-cn001'));
+  let conv = await tracker.track(cancel('lotbot-cn001'));
+  assert(conv.status === 'cancelled' && conv.transition.accepted, 'The requester can cancel');
+  assert(conv.history[1].content === 'Not needed', 'The reason is recorded');
+
+  conv = await tracker.track(response('lotbot-cn001'));
+  assert(!conv.transition.accepted && conv.transition.reason === 'RESPONSE after conversation ended (cancelled)',
+    'A late RESPONSE is rejected');
+  assert(await tracker.cleanup(-1) === 1, 'Cancelled conversations are cleaned up');
+
+  await tracker.track(request('lotbot-cn002'));
+  conv = await tracker.track(cancel('lotbot-cn002', 'Weatherbot'));
+  assert(conv.status === 'open' && conv.transition.reason === 'CANCEL from Weatherbot, who did not send this request',
+    'Only the requester or a bot up the chain can cancel');
+  assert(!(await tracker.track(cancel('lotbot-cn404'))).transition.accepted, 'CANCEL for an unknown request is rejected');
+
+  // Lotbot → Mantis → Clawcos: the CANCEL travels down the chain
+  await tracker.track(request('lotbot-cn003'));
+  await tracker.track(parse(buildHandoff({
+    to: 'Clawcos', from: 'Mantis', requestId: 'lotbot-cn003', task: 'Check CLI version', callback: '@Lotbot'
+  })));
+  await tracker.track(cancel('lotbot-cn003'), { observer: 'Mantis' });
+  conv = await tracker.track(cancel('lotbot-cn003', 'Mantis', 'Clawcos'), { observer: 'Clawcos' });
+  assert(conv.status === 'cancelled' && conv.transition.accepted, 'The bot that handed off passes the CANCEL on');
+  assert((await tracker.handedOff('Mantis')).length === 0, 'Cancelled handoffs drop out');
+  await backdate(tracker, 'lotbot-cn003', 31);
+  assert((await tracker.checkTimeouts()).length === 0, 'Cancelled conversations do not time out');
+
+  assert(events.join() === 'lotbot-cn001,lotbot-cn003', 'Each conversation should emit cancelled once');
+
+  console.log('✓ testCancellation passed');
+}
+
+// Run all tests
+async function runStateTests() {
+  console.log('\n=== State Tests ===');
+
+  try {
+    await testMemoryStore();
+    await testJsonFileStore();
+    await testJsonlStore();
+    await testJsonlCompaction();
+    await testStateMachine();
+    await testRejectedTransitions();
+    await testHandoffChain();
+    await testLifecycleEvents();
+    await testTimeoutScheduler();
+    await testConfigurableTimeouts();
+    await testDeadlines();
+    await testRetry();
+    await testDuplicates();
+    await testProgressStream();
+    await testCancellation();
+    await testConcurrentProcesses();
+    await testCorruptionRecovery();
+    await testStaleLockRecovery();
+    await testJsonlPartialLine();
+
+    console.log('\n✅ All state tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ State test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  } finally {
+    removeTmpDirs();
+  }
+}
+
+if (require.main === module) {
+  runStateTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runStateTests };
@@ -0,0 +1,142 @@
+/**
+ * Protocol Version Tests
+ */
+
+const { negotiate, compareVersions, CURRENT_VERSION } = require('../lib/versions.js');
+const { buildRequest, buildResponse } = require('../lib/builder.js');
+const { parse } = require('../lib/parser.js');
+const { buildAnnounce, createDirectory } = require('../lib/discovery.js');
+const { createRouter } = require('../lib/router.js');
+const { createTracker } = require('../lib/state.js');
+const { createMemoryStore } = require('../lib/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const V0_1_REQUEST = `\`\`\`
+[REQUEST → @Mantis]
+From: Lotbot
+RequestId: lotbot-v01
+Task: Check CLI version
+Depth: 1/5
+\`\`\``;
+
+function testProtocolHeader() {
+  const raw = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Check CLI version' });
+  assert(raw.split('\n')[2] === `Protocol: ${CURRENT_VERSION}`, 'Protocol should follow the header');
+  assert(parse(raw).protocol === CURRENT_VERSION, 'Declared version should be parsed');
+  assert(parse(V0_1_REQUEST).protocol === '0.1', 'Messages without Protocol are v0.1');
+
+  const old = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Check', protocol: '0.1' });
+  assert(!old.includes('Protocol:'), 'v0.1 messages carry no Protocol field');
+
+  let error = null;
+  try {
+    buildResponse({ to: 'Lotbot', from: 'Mantis', requestId: 'lotbot-v01', data: { ok: true }, protocol: '0.1' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Data is not part of protocol 0.1', 'Fields newer than the version should throw');
+
+  error = null;
+  try {
+    buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Check', protocol: '9.0' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Unsupported protocol version: 9.0', 'Unknown versions should throw');
+
+  error = null;
+  try {
+    buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Check\nStatus: done', protocol: '0.1' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Values that need escaping are not part of protocol 0.1', 'v0.1 values cannot be escaped');
+
+  console.log('✓ testProtocolHeader passed');
+}
+
+function testStrictMode() {
+  const current = buildRequest({ to: 'Mantis', from: 'Lotbot', task: 'Check', data: [1], timeout: '5m' });
+  assert(parse(current, { mode: 'strict' }) !== null, 'Valid current messages pass strict mode');
+  assert(parse(V0_1_REQUEST, { mode: 'strict' }) !== null, 'Valid v0.1 messages pass strict mode');
+
+  const unknownField = current.replace('Task: Check', 'Task: Check\nMood: cheerful');
+  assert(parse(unknownField).meta.mood === 'cheerful', 'Lenient mode keeps unknown fields in meta');
+  assert(parse(unknownField, { mode: 'strict' }) === null, 'Strict mode rejects unknown fields');
+
+  const newerField = V0_1_REQUEST.replace('Depth: 1/5', 'Depth: 1/5\nTimeout: 5m');
+  assert(parse(newerField).timeout === 5 * 60 * 1000, 'Lenient mode reads fields of any version');
+  assert(parse(newerField, { mode: 'strict' }) === null, 'Strict mode rejects fields the version lacks');
+
+  const badPriority = current.replace('Depth: 1/5', 'Depth: 1/5\nPriority: urgent');
+  assert(parse(badPriority).priority === null, 'Lenient mode drops invalid enum values');
+  assert(parse(badPriority, { mode: 'strict' }) === null, 'Strict mode rejects invalid enum values');
+
+  const future = current.replace(`Protocol: ${CURRENT_VERSION}`, 'Protocol: 0.9');
+  assert(parse(future).protocol === '0.9', 'Lenient mode accepts unknown versions');
+  assert(parse(future, { mode: 'strict' }) === null, 'Strict mode rejects unknown versions');
+
+  let threw = false;
+  try {
+    parse(current, { mode: 'picky' });
+  } catch (err) {
+    threw = err.message === 'Unknown parse mode: picky';
+  }
+  assert(threw, 'Unknown modes should throw');
+
+  console.log('✓ testStrictMode passed');
+}
+
+function testNegotiation() {
+  assert(compareVersions('0.10', '0.2') > 0, 'Versions compare numerically');
+  assert(negotiate(['0.1', '0.2', '0.3']) === '0.2', 'Highest common version wins');
+  assert(negotiate('0.1') === '0.1', 'A single version works');
+  assert(negotiate(['1.0']) === null, 'No common version');
+
+  const directory = createDirectory();
+  directory.record(parse(buildAnnounce({ from: 'Mantis', capabilities: ['forecast'] })));
+  assert(directory.get('Mantis').protocol === CURRENT_VERSION, 'Announcements carry supported versions');
+
+  console.log('✓ testNegotiation passed');
+}
+
+async function testRouterStrictMode() {
+  const router = createRouter({ botName: 'Mantis', state: createTracker({ store: createMemoryStore() }), mode: 'strict' });
+  router.on('REQUEST', () => 'ok');
+
+  const outcome = await router.handle(V0_1_REQUEST.replace('Depth: 1/5', 'Depth: 1/5\nMood: cheerful'));
+  assert(!outcome.handled && outcome.reason === 'not-protocol', 'Strict routers drop non-conforming messages');
+  assert((await router.handle(V0_1_REQUEST)).handled, 'Conforming v0.1 messages are still handled');
+
+  console.log('✓ testRouterStrictMode passed');
+}
+
+// Run all tests
+async function runVersionTests() {
+  console.log('\n=== Protocol Version Tests ===');
+
+  try {
+    testProtocolHeader();
+    testStrictMode();
+    testNegotiation();
+    await testRouterStrictMode();
+
+    console.log('\n✅ All protocol version tests passed!\n');
+    return true;
+  } catch (err) {
+    console.error('\n❌ Protocol version test failed:', err.message);
+    console.error(err.stack);
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runVersionTests().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { runVersionTests };